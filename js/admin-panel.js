@@ -1,4 +1,10 @@
 import { auth, db, firebase } from './firebase-config.js';
+import { CHAT_TYPES, openThread, sendMessage } from './messaging.js';
+import { REPORTABLE_POSTS } from './safety.js';
+import { thumbnailUrl } from './uploads.js';
+import { subscribeToLandmarks } from './campus-map.js';
+import { loadListingSettings, saveListingLifetime } from './listing-lifecycle.js';
+import { depositItem, recordPickup, subscribeToCustodyDesk } from './lf-custody.js';
 
 /**
  * --- ADMIN PANEL CONTROLLER ---
@@ -7,6 +13,9 @@ import { auth, db, firebase } from './firebase-config.js';
 let allUsers = [];
 let activeAdminTab = 'users';
 
+// Security office and hostel staff only get the custody desk
+const STAFF_TABS = ['custody'];
+
 /**
  * SECURITY GATEKEEPER
  * Verifies admin credentials before allowing access to the panel.
@@ -14,9 +23,16 @@ let activeAdminTab = 'users';
 auth.onAuthStateChanged(async (user) => {
     if (user) {
         const userDoc = await db.collection("users").doc(user.uid).get();
-        if (userDoc.exists && userDoc.data().role === 'admin') {
+        const role = userDoc.exists ? userDoc.data().role : null;
+        if (role === 'admin') {
             document.getElementById('admin-name-display').textContent = userDoc.data().name || "Admin";
             switchAdminTab('users'); 
+        } else if (role === 'staff') {
+            document.getElementById('admin-name-display').textContent = userDoc.data().name || "Staff";
+            document.querySelectorAll('.admin-nav-btn').forEach(btn => {
+                if (!STAFF_TABS.includes(btn.id.replace('btn-', ''))) btn.style.display = 'none';
+            });
+            switchAdminTab('custody');
         } else {
             alert("Access Denied: Admin privileges required.");
             window.location.href = "dashboard.html";
@@ -48,7 +64,9 @@ window.switchAdminTab = (tab) => {
         'map': 'section-map', 
         'marketplace': 'section-moderation',
         'lostfound': 'section-moderation',
+        'custody': 'section-custody',
         'complaints': 'section-complaints',
+        'reports': 'section-reports',
         'announcements': 'section-announcements',
         'utilities': 'section-utilities'
     };
@@ -62,12 +80,16 @@ window.switchAdminTab = (tab) => {
     const activeSectionId = sections[tab];
     if (activeSectionId) document.getElementById(activeSectionId).style.display = 'block';
 
+    closeTabListeners(tab);
+
     // Data Router
     if (tab === 'users') loadUserManagement();
     if (tab === 'map') loadAdminLocations(); 
     if (tab === 'marketplace') loadModeration('marketplace_items', '🛍️ Marketplace Moderation');
     if (tab === 'lostfound') loadModeration('lost_found_items', '🔍 Lost & Found Moderation');
+    if (tab === 'custody') loadCustodyDesk();
     if (tab === 'complaints') loadComplaints();
+    if (tab === 'reports') loadReports();
     if (tab === 'announcements') loadAnnouncements();
     if (tab === 'utilities') loadUtilityManager();
 };
@@ -114,6 +136,84 @@ window.resolveComplaint = async (id) => {
     }
 };
 
+/**
+ * USER REPORT QUEUE
+ * Reports filed from the chat drawer / Chat Hub. Admins can dismiss a report
+ * or, for serious cases, remove the reported student outright.
+ */
+let reportsUnsubscribe = null;
+
+function loadReports() {
+    const list = document.getElementById('report-list');
+    if (!list) return;
+
+    if (reportsUnsubscribe) reportsUnsubscribe();
+    reportsUnsubscribe = db.collection("reports")
+        .where("status", "==", "open")
+        .orderBy("createdAt", "desc")
+        .onSnapshot(snap => {
+            list.innerHTML = '';
+            const userReports = snap.docs.filter(doc => doc.data().targetType === 'user');
+            if (userReports.length === 0) {
+                list.innerHTML = '<p style="padding:20px; opacity:0.6;">No open reports. 🎉</p>';
+                return;
+            }
+            userReports.forEach(doc => {
+                const data = doc.data();
+                const div = document.createElement('div');
+                div.className = 'admin-panel-item';
+                div.style.borderLeft = '5px solid #ea4335';
+                div.innerHTML = `
+                    <div>
+                        <strong>${data.targetEmail || data.targetId}</strong> - <small>reported by ${data.reporterEmail}</small><br>
+                        <p class="report-reason" style="margin: 5px 0;"></p>
+                        ${data.chatId ? `<small style="opacity:0.7;">Conversation: ${data.chatId}</small>` : ''}
+                    </div>
+                    <div style="display:flex; gap:10px;">
+                        <button onclick="dismissReport('${doc.id}')" class="btn-online">Dismiss</button>
+                        <button onclick="removeReportedUser('${doc.id}', '${data.targetId}')" class="ban-btn">Remove Student</button>
+                    </div>
+                `;
+                div.querySelector('.report-reason').textContent = `"${data.reason}"`;
+                list.appendChild(div);
+            });
+        });
+}
+
+// Live queues only run while their tab is open, so switching tabs never stacks listeners
+function closeTabListeners(tab) {
+    if (tab !== 'reports' && reportsUnsubscribe) {
+        reportsUnsubscribe();
+        reportsUnsubscribe = null;
+    }
+    if (tab !== 'marketplace' && tab !== 'lostfound') {
+        moderationUnsubscribers.forEach(unsubscribe => unsubscribe());
+        moderationUnsubscribers = [];
+    }
+    if (tab !== 'custody') {
+        custodyUnsubscribers.forEach(unsubscribe => unsubscribe());
+        custodyUnsubscribers = [];
+    }
+}
+
+window.dismissReport = async (id) => {
+    await db.collection("reports").doc(id).update({
+        status: 'dismissed',
+        reviewedBy: auth.currentUser.email,
+        reviewedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+};
+
+window.removeReportedUser = async (reportId, uid) => {
+    if (!confirm("Permanently remove this student?")) return;
+    await db.collection("users").doc(uid).delete();
+    await db.collection("reports").doc(reportId).update({
+        status: 'actioned',
+        reviewedBy: auth.currentUser.email,
+        reviewedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+};
+
 /**
  * CAMPUS MAP MANAGER
  * Direct Firestore injection for building coordinates.
@@ -176,8 +276,11 @@ function renderUsers(users) {
         const div = document.createElement('div');
         div.className = 'admin-panel-item';
         div.innerHTML = `
-            <div><strong>${u.name}</strong><br><small>${u.email}</small></div>
-            <button class="ban-btn" onclick="deleteUserAccount('${u.id}')">Remove Student</button>
+            <div><strong>${u.name}</strong> ${u.role === 'staff' ? '<small class="hidden-badge staff-badge">STAFF</small>' : ''}<br><small>${u.email}</small></div>
+            <div style="display:flex; gap:10px;">
+                ${u.role !== 'admin' ? `<button class="btn-online" onclick="toggleStaffRole('${u.id}', '${u.role || 'student'}')">${u.role === 'staff' ? 'Remove Staff' : 'Make Staff'}</button>` : ''}
+                <button class="ban-btn" onclick="deleteUserAccount('${u.id}')">Remove Student</button>
+            </div>
         `;
         container.appendChild(div);
     });
@@ -191,6 +294,14 @@ window.filterAdminUsers = () => {
     renderUsers(filtered);
 };
 
+// Staff accounts (security office, wardens) can use the custody desk and nothing else
+window.toggleStaffRole = async (uid, currentRole) => {
+    const role = currentRole === 'staff' ? 'student' : 'staff';
+    if (!confirm(role === 'staff' ? "Give this account access to the custody desk?" : "Remove custody desk access?")) return;
+    await db.collection("users").doc(uid).update({ role });
+    loadUserManagement();
+};
+
 window.deleteUserAccount = async (uid) => {
     if (confirm("Permanently remove this student?")) {
         await db.collection("users").doc(uid).delete();
@@ -200,40 +311,328 @@ window.deleteUserAccount = async (uid) => {
 
 /**
  * SHARED MODERATION ENGINE
+ * Each tab shows the reported-posts queue on top and every post below it.
+ * Listeners from the previous tab are closed first, since Marketplace and
+ * Lost & Found share the same section.
  */
-async function loadModeration(collection, title) {
+let moderationUnsubscribers = [];
+let reportGroups = new Map(); // itemId -> open reports for the post, for the action buttons
+
+function loadModeration(collection, title) {
     const titleEl = document.getElementById('moderation-title');
     const list = document.getElementById('moderation-list');
     if (titleEl) titleEl.textContent = title;
-    
-    db.collection(collection).onSnapshot(snap => {
-        if (!list) return;
-        list.innerHTML = '';
-        if (snap.empty) {
-            list.innerHTML = '<p>No items to moderate.</p>';
-            return;
+
+    moderationUnsubscribers.forEach(unsubscribe => unsubscribe());
+    const targetType = Object.keys(REPORTABLE_POSTS).find(type => REPORTABLE_POSTS[type].collection === collection);
+
+    moderationUnsubscribers = [
+        loadReportedPosts(targetType, collection),
+        db.collection(collection).onSnapshot(snap => {
+            if (!list) return;
+            list.innerHTML = '';
+            if (snap.empty) {
+                list.innerHTML = '<p>No items to moderate.</p>';
+                return;
+            }
+            snap.forEach(doc => {
+                const item = doc.data();
+                const div = document.createElement('div');
+                div.className = 'admin-panel-item';
+                div.innerHTML = `
+                    <span>${item.itemName || item.title || "Untitled"} ${item.hidden ? '<small class="hidden-badge">HIDDEN</small>' : ''}</span>
+                    <div style="display:flex; gap:10px;">
+                        ${item.hidden ? `<button class="btn-online" onclick="unhidePost('${collection}', '${doc.id}')">Unhide</button>` : ''}
+                        <button class="ban-btn" onclick="deleteContent('${collection}', '${doc.id}')">Delete Post</button>
+                    </div>
+                `;
+                list.appendChild(div);
+            });
+        })
+    ];
+}
+
+window.deleteContent = async (col, id) => {
+    if (confirm("Remove this entry permanently?")) await db.collection(col).doc(id).delete();
+};
+
+/**
+ * REPORTED POSTS QUEUE
+ * Open reports for this kind of post, grouped per post and ranked by how
+ * many students flagged it. Each entry previews the post and lists every
+ * reason. Dismiss closes the reports, Hide takes the post out of the feeds
+ * (the poster still sees it), and Delete removes it. Hide and Delete send
+ * the poster a moderation notice through chat.
+ */
+function loadReportedPosts(targetType, collection) {
+    const queue = document.getElementById('moderation-queue');
+    let renderSeq = 0;
+
+    return db.collection("reports")
+        .where("status", "==", "open")
+        .orderBy("createdAt", "desc")
+        .onSnapshot(async snap => {
+            const seq = ++renderSeq;
+            const groups = new Map();
+            snap.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(report => report.targetType === targetType)
+                .forEach(report => {
+                    if (!groups.has(report.targetId)) groups.set(report.targetId, []);
+                    groups.get(report.targetId).push(report);
+                });
+            const ranked = [...groups.entries()].sort((a, b) => b[1].length - a[1].length);
+
+            // Previews are read fresh so the queue shows what the post looks like now
+            const posts = await Promise.all(ranked.map(([itemId]) => db.collection(collection).doc(itemId).get()));
+            if (seq !== renderSeq || !queue) return;
+            reportGroups = groups;
+
+            queue.innerHTML = '';
+            if (ranked.length === 0) {
+                queue.innerHTML = '<p style="padding:20px; opacity:0.6;">No reported posts. 🎉</p>';
+                return;
+            }
+            ranked.forEach(([itemId, reports], index) => {
+                const post = posts[index].exists ? posts[index].data() : null;
+                queue.appendChild(renderReportedPost(targetType, itemId, post, reports));
+            });
+        }, (err) => console.error("Report Queue Error:", err));
+}
+
+function renderReportedPost(targetType, itemId, post, reports) {
+    const first = reports[0];
+    const div = document.createElement('div');
+    div.className = 'admin-panel-item reported-post';
+    div.style.borderLeft = '5px solid #ea4335';
+
+    const priceOrStatus = post
+        ? (targetType === 'marketplace' ? `₹${post.price} · ${post.status}` : (post.status || '').toUpperCase())
+        : '';
+    div.innerHTML = `
+        ${post && post.imageUrl ? `<img src="${thumbnailUrl(post.imageUrl, 160)}" class="reported-post-img" alt="">` : ''}
+        <div class="reported-post-info">
+            <div>
+                <strong class="reported-post-title"></strong>
+                <span class="report-count-badge">🚩 ${reports.length} report${reports.length === 1 ? '' : 's'}</span>
+                ${post && post.hidden ? '<small class="hidden-badge">HIDDEN</small>' : ''}
+            </div>
+            <small style="opacity:0.7;">${post ? `Posted by ${first.targetOwnerEmail || 'unknown'} · ${priceOrStatus}` : 'This post has already been deleted.'}</small>
+            ${post ? '<p class="reported-post-desc"></p>' : ''}
+            <ul class="report-reasons"></ul>
+        </div>
+        <div class="reported-post-actions">
+            <button class="btn-online" onclick="moderatePost('${targetType}', '${itemId}', 'dismiss')">Dismiss</button>
+            ${post && !post.hidden ? `<button class="btn-secondary" onclick="moderatePost('${targetType}', '${itemId}', 'hide')">Hide</button>` : ''}
+            ${post ? `<button class="ban-btn" onclick="moderatePost('${targetType}', '${itemId}', 'delete')">Delete</button>` : ''}
+        </div>
+    `;
+    div.querySelector('.reported-post-title').textContent = post ? (post.itemName || post.title || 'Untitled') : first.targetTitle;
+    if (post) div.querySelector('.reported-post-desc').textContent = post.description || '';
+
+    const reasons = div.querySelector('.report-reasons');
+    reports.forEach(report => {
+        const li = document.createElement('li');
+        li.textContent = `${report.reason}${report.details ? `: "${report.details}"` : ''} (${report.reporterEmail})`;
+        reasons.appendChild(li);
+    });
+    return div;
+}
+
+window.moderatePost = async (targetType, itemId, action) => {
+    const reports = reportGroups.get(itemId) || [];
+    const { collection } = REPORTABLE_POSTS[targetType];
+    const ref = db.collection(collection).doc(itemId);
+
+    let note = '';
+    if (action !== 'dismiss') {
+        note = prompt(`${action === 'hide' ? 'Hide' : 'Delete'} this post. Note to the poster (why it was ${action === 'hide' ? 'hidden' : 'removed'}):`);
+        if (note === null) return;
+        note = note.trim();
+    }
+
+    try {
+        if (action === 'hide') {
+            await ref.update({
+                hidden: true,
+                moderationNote: note,
+                hiddenBy: auth.currentUser.email,
+                hiddenAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
         }
-        snap.forEach(doc => {
-            const item = doc.data();
-            const div = document.createElement('div');
-            div.className = 'admin-panel-item';
-            div.innerHTML = `
-                <span>${item.itemName || item.title || "Untitled"}</span>
-                <button class="ban-btn" onclick="deleteContent('${collection}', '${doc.id}')">Delete Post</button>
-            `;
-            list.appendChild(div);
+        if (action === 'delete') await ref.delete();
+
+        const batch = db.batch();
+        reports.forEach(report => batch.update(db.collection("reports").doc(report.id), {
+            status: action === 'dismiss' ? 'dismissed' : 'actioned',
+            resolution: action,
+            moderationNote: note,
+            reviewedBy: auth.currentUser.email,
+            reviewedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }));
+        await batch.commit();
+
+        if (action !== 'dismiss' && reports[0]) await notifyPoster(reports[0], action, note);
+    } catch (err) {
+        console.error("Moderation Error:", err);
+        alert("❌ Moderation action failed. Please try again.");
+    }
+};
+
+// The notice goes into a normal 1:1 chat from the admin, so the poster can reply
+async function notifyPoster(report, action, note) {
+    if (!report.targetOwnerId) return;
+    try {
+        const chatId = await openThread({
+            type: CHAT_TYPES.GENERAL,
+            otherUid: report.targetOwnerId,
+            otherEmail: report.targetOwnerEmail
         });
+        if (!chatId) return;
+        const what = report.targetType === 'marketplace' ? 'listing' : 'Lost & Found post';
+        await sendMessage(chatId, `🛡️ Moderation notice: your ${what} "${report.targetTitle}" was ${action === 'hide' ? 'hidden' : 'removed'} after reports from other students.${note ? ` Note from the admins: ${note}` : ''}`);
+    } catch (err) {
+        console.error("Moderation Notice Error:", err);
+    }
+}
+
+window.unhidePost = async (collection, id) => {
+    await db.collection(collection).doc(id).update({
+        hidden: firebase.firestore.FieldValue.delete(),
+        moderationNote: firebase.firestore.FieldValue.delete(),
+        hiddenBy: firebase.firestore.FieldValue.delete(),
+        hiddenAt: firebase.firestore.FieldValue.delete()
     });
+};
+
+/**
+ * FOUND ITEM CUSTODY DESK
+ * Staff pick the office they're working at once, then log items handed in
+ * (deposit) and items collected (pickup). Pickups ask for the collector's
+ * name and ID number; if the item has an approved claim, the claimant is
+ * suggested. Listeners from the last visit are closed first.
+ */
+let custodyUnsubscribers = [];
+let custodyLandmarks = [];
+let custodyItems = new Map(); // itemId -> item, for the action buttons
+
+function loadCustodyDesk() {
+    const officeSelect = document.getElementById('custody-office');
+    custodyUnsubscribers.forEach(unsubscribe => unsubscribe());
+
+    custodyUnsubscribers = [
+        subscribeToLandmarks((landmarks) => {
+            custodyLandmarks = landmarks;
+            if (!officeSelect) return;
+            const current = officeSelect.value;
+            officeSelect.innerHTML = '<option value="">Choose your office...</option>';
+            landmarks.forEach((landmark) => {
+                const option = document.createElement('option');
+                option.value = landmark.id;
+                option.textContent = landmark.name;
+                officeSelect.appendChild(option);
+            });
+            officeSelect.value = landmarks.some(l => l.id === current) ? current : '';
+        }),
+        subscribeToCustodyDesk(({ waiting, held, collected }) => {
+            custodyItems = new Map([...waiting, ...held, ...collected].map(item => [item.id, item]));
+            renderCustodyList('custody-waiting', waiting, 'No found items waiting to be deposited.', (item) => `
+                <button class="btn-online" onclick="logDeposit('${item.id}')">Log Deposit</button>
+            `);
+            renderCustodyList('custody-held', held, 'Nothing is being held right now.', (item) => `
+                <button class="btn-online" onclick="logPickup('${item.id}')">Log Pickup</button>
+            `);
+            renderCustodyList('custody-collected', collected, 'No pickups recorded yet.', () => '');
+        })
+    ];
 }
 
-window.deleteContent = async (col, id) => {
-    if (confirm("Remove this entry permanently?")) await db.collection(col).doc(id).delete();
+function custodyDetails(item) {
+    const date = (ts) => (ts?.toDate ? ts.toDate().toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }) : '');
+    if (item.pickup) {
+        return `Collected from ${item.pickup.officeName} by ${item.pickup.collectedBy} (ID ${item.pickup.idNumber}) on ${date(item.pickup.collectedAt)}. Handed over by ${item.pickup.handedOverBy}.`;
+    }
+    if (item.custody) {
+        return `At ${item.custody.officeName} since ${date(item.custody.depositedAt)}, handed in by ${item.custody.receivedFrom}.`
+            + (item.claimedByEmail ? ` Claim approved for ${item.claimedByEmail}.` : ' No approved claim yet.');
+    }
+    return `Found by ${item.reportedBy}${item.locationName ? ` near ${item.locationName}` : ''}.`;
+}
+
+function renderCustodyList(containerId, items, emptyText, actions) {
+    const list = document.getElementById(containerId);
+    if (!list) return;
+    list.innerHTML = '';
+    if (items.length === 0) {
+        list.innerHTML = `<p style="padding:10px; opacity:0.6;">${emptyText}</p>`;
+        return;
+    }
+    items.forEach((item) => {
+        const div = document.createElement('div');
+        div.className = 'admin-panel-item custody-item';
+        div.innerHTML = `
+            ${item.imageUrl ? `<img src="${thumbnailUrl(item.imageUrl, 120)}" alt="" class="reported-post-img">` : ''}
+            <div class="custody-info">
+                <strong class="custody-title"></strong>
+                <small class="custody-details"></small>
+            </div>
+            <div style="display:flex; gap:10px;">${actions(item)}</div>
+        `;
+        div.querySelector('.custody-title').textContent = item.itemName;
+        div.querySelector('.custody-details').textContent = custodyDetails(item);
+        list.appendChild(div);
+    });
+}
+
+window.logDeposit = async (itemId) => {
+    const item = custodyItems.get(itemId);
+    const office = custodyLandmarks.find(l => l.id === document.getElementById('custody-office')?.value);
+    if (!item) return;
+    if (!office) {
+        alert("Choose the office you're logging at first.");
+        return;
+    }
+    const receivedFrom = prompt(`Who handed in "${item.itemName}"?`, item.reportedBy);
+    if (receivedFrom === null) return;
+    const note = prompt("Storage note (optional, e.g. shelf or locker number):", "");
+    if (note === null) return;
+
+    try {
+        await depositItem(itemId, office, { receivedFrom: receivedFrom.trim(), note: note.trim() });
+    } catch (err) {
+        console.error("Custody Deposit Error:", err);
+        alert(err.code === 'custody/not-allowed' ? err.message : "❌ Couldn't log this deposit.");
+    }
+};
+
+window.logPickup = async (itemId) => {
+    const item = custodyItems.get(itemId);
+    if (!item) return;
+    if (!item.claimedBy && !confirm("Nobody has an approved claim for this item. Hand it over after checking ownership at the desk?")) return;
+
+    const email = prompt("Collector's college email:", item.claimedByEmail || "");
+    if (email === null) return;
+    const name = prompt("Collector's full name:", "");
+    if (name === null) return;
+    const idNumber = prompt("Collector's ID card / roll number:", "");
+    if (idNumber === null) return;
+
+    try {
+        await recordPickup(itemId, { name: name.trim(), email: email.trim(), idNumber: idNumber.trim() });
+    } catch (err) {
+        console.error("Custody Pickup Error:", err);
+        alert(err.code === 'custody/not-allowed' ? err.message : "❌ Couldn't record this pickup.");
+    }
 };
 
 /**
  * UTILITY STATUS MANAGER
+ * Also holds the marketplace listing lifetime (settings/marketplace).
  */
 async function loadUtilityManager() {
+    const lifetimeInput = document.getElementById('listing-lifetime-days');
+    if (lifetimeInput) lifetimeInput.value = await loadListingSettings();
+
     const container = document.getElementById('admin-utility-list');
     db.collection("utilityStatus").onSnapshot(snap => {
         if (!container) return;
@@ -256,6 +655,17 @@ async function loadUtilityManager() {
     });
 }
 
+window.saveListingLifetime = async () => {
+    const days = parseInt(document.getElementById('listing-lifetime-days').value, 10);
+    try {
+        await saveListingLifetime(days);
+        alert(`Listings now expire after ${days} days. Existing listings keep their current expiry until renewed.`);
+    } catch (err) {
+        console.error("Listing Settings Error:", err);
+        alert(err.code === 'settings/invalid' ? err.message : "❌ Couldn't save the setting.");
+    }
+};
+
 window.toggleUtility = async (id, currentStatus) => {
     await db.collection("utilityStatus").doc(id).update({ isOperational: !currentStatus });
 };
@@ -6,6 +6,7 @@
  */
 
 import { auth, db } from './firebase-config.js'; 
+import { directoryFields } from './user-directory.js';
 
 /**
  * --- UI STATE CONTROLS ---
@@ -75,6 +76,7 @@ if (signupForm) {
             await db.collection("users").doc(user.uid).set({
                 name: name,
                 email: email,
+                ...directoryFields({ name, email }), // Lets the Chat Hub find new students right away
                 role: "student", 
                 createdAt: new Date()
             });
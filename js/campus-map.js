@@ -0,0 +1,45 @@
+/**
+ * CAMPUS UTILITIES HUB - SHARED CAMPUS MAP HELPERS
+ * The Geoapify tiles, the campus centre and the admin-managed landmarks
+ * (campus_locations), shared by the Campus Navigator and the Lost & Found
+ * location picker. Leaflet itself is loaded by each page's <script> tag.
+ */
+import { db } from './firebase-config.js';
+
+export const GEOAPIFY_KEY = "3a400c98f0124335b78d250e97eb82d6";
+export const CAMPUS_CENTER = [23.814, 86.441];
+
+// Reports pinned this close to a landmark count as being "at" it
+export const LANDMARK_RADIUS_METERS = 150;
+
+export function addCampusTiles(map) {
+    return L.tileLayer(`https://maps.geoapify.com/v1/tile/osm-carto/{z}/{x}/{y}.png?apiKey=${GEOAPIFY_KEY}`, {
+        attribution: 'Powered by Geoapify',
+        maxZoom: 20
+    }).addTo(map);
+}
+
+// A small pre-rendered map for cards, so a feed of reports doesn't need a Leaflet map each
+export function staticMapUrl({ lat, lng }, width = 300, height = 120) {
+    const point = `lonlat:${lng},${lat}`;
+    return `https://maps.geoapify.com/v1/staticmap?style=osm-carto&width=${width}&height=${height}`
+        + `&center=${point}&zoom=17&marker=${point};color:%23e74c3c;size:small&apiKey=${GEOAPIFY_KEY}`;
+}
+
+export function distanceMeters(a, b) {
+    const rad = (deg) => deg * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+// onChange([{ id, name, lat, lng }]) sorted by name
+export function subscribeToLandmarks(onChange) {
+    return db.collection("campus_locations").onSnapshot((snap) => {
+        const landmarks = snap.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        onChange(landmarks);
+    }, (err) => console.error("Landmarks Error:", err));
+}
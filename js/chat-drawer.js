@@ -0,0 +1,414 @@
+/**
+ * CAMPUS UTILITIES HUB - CHAT DRAWER
+ * The floating chat window and header inbox shared by the Marketplace and
+ * Lost & Found pages. Both pages used to carry their own copy of this code;
+ * now they only decide *when* to open a thread and this module does the rest
+ * through the messaging service.
+ */
+import { auth, db } from './firebase-config.js';
+import {
+    CHAT_TYPES, openThread, resumeThread, subscribeToMessages, sendMessage, sendAttachment,
+    validateAttachment, subscribeToInbox, markThreadRead, quoteOf
+} from './messaging.js';
+import { renderMessageBody, renderMessageActions, renderReplyBar } from './chat-render.js';
+import { hasBlocked, isBlockedBetween, blockUser, unblockUser, reportUser } from './safety.js';
+import { startPresence } from './presence.js';
+import { mountDealCard } from './market-deals.js';
+import { sellerBadgeForItem } from './reputation.js';
+
+// Students browsing listings still count as online in the Chat Hub
+startPresence();
+
+// --- 1. DOM SELECTORS ---
+const chatDrawer = document.getElementById('chat-drawer');
+const chatTitle = document.getElementById('chat-with-user');
+const chatMessages = document.getElementById('chat-messages');
+const chatInput = document.getElementById('chat-input');
+const sendMsgBtn = document.getElementById('send-msg-btn');
+const attachBtn = document.getElementById('chat-attach-btn');
+const attachInput = document.getElementById('chat-attach-input');
+const inboxMenu = document.getElementById('inbox-menu');
+const blockBtn = document.getElementById('chat-block-btn');
+const reportBtn = document.getElementById('chat-report-btn');
+const blockBanner = document.getElementById('chat-block-banner');
+const replyBar = document.getElementById('chat-reply-bar');
+const dealCard = document.getElementById('chat-item-card'); // Marketplace page only
+
+// --- 2. STATE ---
+let activeChatId = null;
+let activeOther = null; // { uid, email } for 1:1 threads, null for groups
+let activeFeed = null;
+let inboxUnsubscribe = null;
+let lastReadMessageId = null;
+let replyingTo = null;
+let dealCardUnsubscribe = null;
+const memberNames = {}; // uid -> handle, for quoting people in group threads
+
+/**
+ * --- 3. OPENING THREADS ---
+ * startThread() is the entry point for item cards ("Chat with Seller",
+ * "Contact Finder"); resumed threads come in through the inbox below.
+ */
+export async function startThread({ type, otherUid, otherEmail, itemId }) {
+    try {
+        const chatId = await openThread({ type, otherUid, otherEmail, itemId });
+        if (chatId) showThread(chatId, otherEmail, { uid: otherUid, email: otherEmail }, { type, itemId });
+    } catch (err) {
+        if (err.code === 'chat/blocked') alert(err.message);
+        else console.error("Chat initiation failed:", err);
+    }
+}
+
+function showThread(chatId, title = "User", other = null, { type = null, itemId = null, participants = [] } = {}) {
+    if (!chatDrawer) return;
+    activeChatId = chatId;
+    activeOther = other;
+    if (!other) loadMemberNames(participants);
+
+    // Marketplace threads get the listing pinned above the messages
+    unmountDealCard();
+    if (type === CHAT_TYPES.MARKETPLACE && itemId && dealCard) {
+        dealCardUnsubscribe = mountDealCard(dealCard, { chatId, itemId, other });
+    }
+
+    // AUTO-CLOSE DROPDOWN: Hides the inbox menu
+    if (inboxMenu) inboxMenu.classList.remove('show');
+
+    if (chatTitle) {
+        chatTitle.textContent = `💬 Chat with ${title.split('@')[0]}`;
+        if (type === CHAT_TYPES.MARKETPLACE && itemId) showSellerBadge(chatId, itemId);
+    }
+    chatDrawer.classList.add('open');
+    chatDrawer.style.display = 'flex';
+
+    lastReadMessageId = null;
+    setReply(null);
+    startChatListener(chatId);
+    refreshBlockState();
+}
+
+async function showSellerBadge(chatId, itemId) {
+    try {
+        const badge = await sellerBadgeForItem(itemId);
+        if (badge && activeChatId === chatId) chatTitle.appendChild(badge);
+    } catch (err) {
+        console.error("Seller Badge Error:", err);
+    }
+}
+
+function unmountDealCard() {
+    if (dealCardUnsubscribe) dealCardUnsubscribe();
+    dealCardUnsubscribe = null;
+    if (dealCard) dealCard.style.display = 'none';
+}
+
+/**
+ * Safety controls: block / report only make sense in 1:1 threads. When
+ * either side has blocked the other, the footer is disabled and a banner
+ * explains why (with an Unblock shortcut if it was us).
+ */
+async function refreshBlockState() {
+    if (blockBtn) blockBtn.style.display = activeOther ? 'inline-block' : 'none';
+    if (reportBtn) reportBtn.style.display = activeOther ? 'inline-block' : 'none';
+
+    const chatId = activeChatId;
+    const blocked = activeOther ? await isBlockedBetween(activeOther.uid) : false;
+    if (chatId !== activeChatId) return;
+
+    [chatInput, sendMsgBtn, attachBtn].forEach(el => { if (el) el.disabled = blocked; });
+    if (blockBtn && activeOther) blockBtn.title = hasBlocked(activeOther.uid) ? 'Unblock user' : 'Block user';
+    if (!blockBanner) return;
+
+    blockBanner.style.display = blocked ? 'block' : 'none';
+    if (!blocked) return;
+    if (hasBlocked(activeOther.uid)) {
+        blockBanner.innerHTML = 'You blocked this user. <a href="#">Unblock</a>';
+        blockBanner.querySelector('a').onclick = (e) => {
+            e.preventDefault();
+            toggleBlock();
+        };
+    } else {
+        blockBanner.textContent = "You can't reply to this conversation.";
+    }
+}
+
+async function toggleBlock() {
+    if (!activeOther) return;
+    const name = activeOther.email.split('@')[0];
+    try {
+        if (hasBlocked(activeOther.uid)) {
+            await unblockUser(activeOther.uid);
+        } else {
+            if (!confirm(`Block ${name}? They won't be able to message you or start new chats.`)) return;
+            await blockUser(activeOther.uid);
+        }
+        refreshBlockState();
+    } catch (err) {
+        console.error("Block Error:", err);
+    }
+}
+
+if (blockBtn) blockBtn.onclick = toggleBlock;
+
+if (reportBtn) {
+    reportBtn.onclick = async () => {
+        if (!activeOther) return;
+        const reason = prompt(`Why are you reporting ${activeOther.email.split('@')[0]}? (harassment, scam, spam...)`);
+        if (!reason || !reason.trim()) return;
+        try {
+            await reportUser({ uid: activeOther.uid, email: activeOther.email, reason: reason.trim(), chatId: activeChatId });
+            alert("✅ Thanks. Our admins will review this conversation.");
+        } catch (err) {
+            console.error("Report Error:", err);
+        }
+    };
+}
+
+/**
+ * Read receipts: the thread is marked read when it opens and again whenever
+ * a new incoming message lands while the drawer is visible.
+ */
+function markVisibleThreadRead(chatId, messages) {
+    if (!chatDrawer || chatDrawer.style.display === 'none' || document.hidden) return;
+
+    const newest = messages[messages.length - 1];
+    const newestId = newest ? newest.id : 'empty';
+    if (newestId === lastReadMessageId) return;
+    lastReadMessageId = newestId;
+
+    if (newest && newest.senderId === auth.currentUser.uid) return;
+    markThreadRead(chatId).catch(err => console.error("Read Receipt Error:", err));
+}
+
+// 1:1 senders are us or the other person; group members are looked up once per uid
+function senderName(uid) {
+    if (uid === auth.currentUser.uid) return auth.currentUser.email.split('@')[0];
+    if (activeOther && uid === activeOther.uid) return (activeOther.email || "User").split('@')[0];
+    return memberNames[uid] || "User";
+}
+
+function loadMemberNames(uids) {
+    uids.filter(uid => !memberNames[uid] && uid !== auth.currentUser.uid).forEach((uid) => {
+        db.collection("users").doc(uid).get()
+            .then((doc) => {
+                if (doc.exists) memberNames[uid] = doc.data().name || (doc.data().email || "User").split('@')[0];
+            })
+            .catch(err => console.error("Member Lookup Error:", err));
+    });
+}
+
+function setReply(quote) {
+    replyingTo = quote;
+    renderReplyBar(replyBar, quote, () => setReply(null));
+    if (quote && chatInput) chatInput.focus();
+}
+
+/**
+ * Streams the newest page of the thread. A "Load older" button is pinned
+ * to the top while there is more history, and the scroll position is kept
+ * stable when older messages are prepended. Edits and deletes arrive
+ * through the same listener, so bubbles update in place.
+ */
+function startChatListener(chatId) {
+    if (activeFeed) activeFeed.unsubscribe();
+    let previousHeight = 0;
+
+    activeFeed = subscribeToMessages(chatId, (messages, { hasMore, isOlderPage }) => {
+        chatMessages.innerHTML = '';
+
+        if (hasMore) {
+            const olderBtn = document.createElement('button');
+            olderBtn.className = 'load-older-btn';
+            olderBtn.textContent = 'Load older messages';
+            olderBtn.onclick = () => {
+                previousHeight = chatMessages.scrollHeight;
+                activeFeed.loadOlder();
+            };
+            chatMessages.appendChild(olderBtn);
+        }
+
+        const byId = new Map(messages.map(m => [m.id, m]));
+        messages.forEach(msg => {
+            const div = document.createElement('div');
+            div.className = `msg ${msg.senderId === auth.currentUser.uid ? 'sent' : 'received'}`;
+            div.dataset.msgId = msg.id;
+            div.appendChild(renderMessageBody(msg, byId.get(msg.replyTo?.id)));
+            div.appendChild(renderMessageActions(chatId, msg, (target) => {
+                setReply(quoteOf(target, senderName(target.senderId)));
+            }));
+            chatMessages.appendChild(div);
+        });
+
+        chatMessages.scrollTop = isOlderPage
+            ? chatMessages.scrollHeight - previousHeight
+            : chatMessages.scrollHeight;
+
+        markVisibleThreadRead(chatId, messages);
+    });
+}
+
+// Catch up on messages that arrived while the tab was in the background
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && activeChatId) {
+        lastReadMessageId = null;
+        markThreadRead(activeChatId).catch(err => console.error("Read Receipt Error:", err));
+    }
+});
+
+/**
+ * --- 4. SENDING ---
+ * The input is cleared optimistically and restored if the write fails,
+ * so a flaky connection never silently eats a message.
+ */
+const handleSend = async () => {
+    const text = chatInput.value.trim();
+    if (!text || !activeChatId) return;
+
+    const quote = replyingTo;
+    chatInput.value = '';
+    setReply(null);
+    try {
+        await sendMessage(activeChatId, text, quote);
+    } catch (err) {
+        console.error("Chat Send Error:", err);
+        chatInput.value = text;
+        setReply(quote);
+        if (err.code === 'chat/blocked') refreshBlockState();
+    }
+};
+
+if (sendMsgBtn) sendMsgBtn.onclick = handleSend;
+
+/**
+ * Attachments: the paperclip opens a file picker, and whatever is typed in
+ * the input goes along as the caption.
+ */
+if (attachBtn && attachInput) {
+    attachBtn.onclick = () => { if (activeChatId) attachInput.click(); };
+
+    attachInput.addEventListener('change', async () => {
+        const file = attachInput.files[0];
+        attachInput.value = '';
+        if (!file || !activeChatId) return;
+
+        const problem = validateAttachment(file);
+        if (problem) {
+            alert(problem);
+            return;
+        }
+
+        const caption = chatInput.value.trim();
+        attachBtn.disabled = true;
+        attachBtn.textContent = '⏳';
+        try {
+            await sendAttachment(activeChatId, file, caption, replyingTo);
+            chatInput.value = '';
+            setReply(null);
+        } catch (err) {
+            console.error("Attachment Error:", err);
+            alert(err.code === 'chat/blocked' ? err.message : "❌ Couldn't send that file. Please try again.");
+        } finally {
+            attachBtn.textContent = '📎';
+            // Re-check rather than re-enable: the chat may be (or have become) blocked
+            refreshBlockState().catch(err => console.error("Block Check Error:", err));
+        }
+    });
+}
+
+// UX: Enter to send messages
+if (chatInput) {
+    chatInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            handleSend();
+        }
+        if (e.key === 'Escape' && replyingTo) setReply(null);
+    });
+}
+
+/**
+ * --- 5. HEADER INBOX ---
+ * Summarizes every conversation the student is part of, newest first.
+ * Each card shows how many messages are unread in that thread, and the
+ * header badge totals them across all threads.
+ */
+export function loadHeaderInbox() {
+    const container = document.getElementById('inbox-container');
+    const msgCount = document.getElementById('msg-count');
+    if (!auth.currentUser || !container) return;
+
+    if (inboxUnsubscribe) inboxUnsubscribe();
+    inboxUnsubscribe = subscribeToInbox((threads) => {
+        container.innerHTML = '';
+        let unreadCount = 0;
+
+        if (threads.length === 0) {
+            container.innerHTML = '<p style="padding:15px; color: #666;">No active conversations.</p>';
+        }
+
+        threads.forEach((thread) => {
+            const isNew = thread.unreadCount > 0;
+            unreadCount += thread.unreadCount;
+
+            const div = document.createElement('div');
+            div.className = `chat-summary-card ${isNew ? 'unread-bg' : ''}`;
+            div.innerHTML = `
+                <div style="display:flex; justify-content:space-between; align-items:center;">
+                    <strong></strong>
+                    ${isNew ? `<span class="unread-count">${thread.unreadCount}</span>` : ''}
+                </div>
+                <p></p>
+            `;
+            // Group names are typed by students, so they never go through innerHTML
+            div.querySelector('strong').textContent = `${isNew ? '🔵 ' : ''}${thread.title}`;
+            div.querySelector('p').textContent = thread.lastMessage ? thread.preview : 'New Chat';
+
+            div.onclick = async () => {
+                try {
+                    await resumeThread(thread.id);
+                    const other = thread.otherUid ? { uid: thread.otherUid, email: thread.otherEmail } : null;
+                    showThread(thread.id, thread.title, other, { type: thread.type, itemId: thread.itemId, participants: thread.participants });
+                } catch (err) {
+                    console.error("Chat Open Error:", err);
+                }
+            };
+            container.appendChild(div);
+        });
+
+        if (msgCount) msgCount.textContent = unreadCount > 0 ? `(${unreadCount})` : '';
+    });
+}
+
+/**
+ * --- 6. DRAWER CHROME ---
+ * Draggable header and the close button wired up in the page markup.
+ */
+const dragElement = (elmnt) => {
+    let pos1 = 0, pos2 = 0, pos3 = 0, pos4 = 0;
+    const header = elmnt.querySelector(".chat-header");
+    if (header) {
+        header.onmousedown = (e) => {
+            e.preventDefault();
+            pos3 = e.clientX; pos4 = e.clientY;
+            document.onmouseup = () => { document.onmouseup = null; document.onmousemove = null; };
+            document.onmousemove = (e) => {
+                pos1 = pos3 - e.clientX; pos2 = pos4 - e.clientY;
+                pos3 = e.clientX; pos4 = e.clientY;
+                elmnt.style.top = (elmnt.offsetTop - pos2) + "px";
+                elmnt.style.left = (elmnt.offsetLeft - pos1) + "px";
+                elmnt.style.bottom = "auto"; elmnt.style.right = "auto";
+            };
+        };
+    }
+};
+if (chatDrawer) dragElement(chatDrawer);
+
+window.closeChat = () => {
+    if (chatDrawer) chatDrawer.style.display = 'none';
+    if (activeFeed) activeFeed.unsubscribe();
+    activeFeed = null;
+    activeChatId = null;
+    activeOther = null;
+    setReply(null);
+    unmountDealCard();
+};
@@ -1,17 +1,38 @@
 /**
  * CAMPUS UTILITIES HUB - CHAT HUB CONTROLLER
  * This module manages real-time communication across the campus.
- * I built it to handle three distinct types of conversations:
+ * I built it to handle four distinct types of conversations:
  * 1. General DMs (Student to Student)
  * 2. Marketplace Inquiries (Buyer to Seller)
  * 3. Lost & Found leads
+ * 4. Group chats for clubs, study groups and project teams
  */
-import { auth, db, firebase } from './firebase-config.js';
+import { auth, db } from './firebase-config.js';
+import {
+    CHAT_TYPES, GROUP_CATEGORIES, createGroup, addGroupMember, removeGroupMember, openThread, resumeThread, subscribeToMessages, subscribeToThread,
+    sendMessage, sendAttachment, validateAttachment, subscribeToInbox, markThreadRead, isSeenByOthers,
+    notifyTyping, clearTyping, subscribeToTyping, quoteOf, searchMessages, tokenize, SEARCH_MIN_WORD_LENGTH
+} from './messaging.js';
+import { startPresence, watchPresence, isOnline, describePresence } from './presence.js';
+import { renderMessageBody, renderMessageActions, renderReplyBar, renderSnippet, highlightMessage } from './chat-render.js';
+import { hasBlocked, isBlockedBetween, blockUser, unblockUser, reportUser } from './safety.js';
+import { searchUsers, ensureDirectoryEntry, SEARCH_MIN_LENGTH } from './user-directory.js';
+import { sellerBadgeForItem } from './reputation.js';
 
 // --- 1. GLOBALS & SELECTORS ---
 let activeChatId = null;
 let currentTab = 'general';
-let chatListener = null;
+let chatFeed = null;
+let threadUnsubscribe = null;
+let inboxUnsubscribe = null;
+let typingUnsubscribe = null;
+let headerPresenceUnsubscribe = null;
+let replyingTo = null; // Quote of the message the composer is replying to
+let inboxThreads = []; // Latest inbox snapshot (all tabs), used by message search
+
+// Presence listeners for the people in the visible conversation list
+const presenceWatchers = new Map();
+const presenceCache = {};
 
 // PERFORMANCE OPTIMIZATION: I implemented a local cache for user profile data.
 // This prevents redundant database calls for names/PFPs every time a message renders.
@@ -21,93 +42,162 @@ const conversationList = document.getElementById('conversation-list');
 const messageContainer = document.getElementById('chat-hub-messages');
 const chatInput = document.getElementById('chat-hub-input');
 const sendBtn = document.getElementById('send-hub-btn');
+const attachBtn = document.getElementById('hub-attach-btn');
+const attachInput = document.getElementById('hub-attach-input');
 const searchInput = document.getElementById('user-search-input');
 const searchResults = document.getElementById('search-results');
 const logoutBtn = document.getElementById('logout-button');
+const chatHeaderInfo = document.getElementById('chat-header-info');
+const chatHeaderStatus = document.getElementById('chat-header-status');
+const groupPanel = document.getElementById('group-panel');
+const blockBanner = document.getElementById('hub-block-banner');
+const replyBar = document.getElementById('hub-reply-bar');
+const groupNameInput = document.getElementById('group-name-input');
+const groupCategorySelect = document.getElementById('group-category-select');
+const createGroupBtn = document.getElementById('create-group-btn');
+const messageSearchInput = document.getElementById('message-search-input');
+const messageSearchResults = document.getElementById('message-search-results');
 
 /**
  * --- 2. CORE CONVERSATION ENGINE ---
  * This function handles the sidebar logic. It filters conversations based on 
- * their origin (Marketplace vs General) so the user doesn't get overwhelmed.
+ * their stored chat type (General / Marketplace / L&F / Groups) so the user doesn't
+ * get overwhelmed. Switching tabs replaces the inbox listener instead of
+ * stacking a new one on top.
  */
-async function loadConversations() {
+const TYPE_BADGES = {
+    [CHAT_TYPES.LOST_FOUND]: { label: 'LF', color: '#fbbc04' },
+    [CHAT_TYPES.MARKETPLACE]: { label: 'MKT', color: '#34a853' },
+    [CHAT_TYPES.GENERAL]: { label: 'GEN', color: '#70757a' },
+    [CHAT_TYPES.GROUP]: { label: 'GRP', color: '#8e44ad' }
+};
+
+// Lazy-loads a user's name and avatar into the cache
+async function getUserProfile(uid) {
+    if (!userCache[uid]) {
+        const userDoc = await db.collection("users").doc(uid).get();
+        userCache[uid] = userDoc.exists ? {
+            name: userDoc.data().name || "User",
+            email: userDoc.data().email || "",
+            pfp: userDoc.data().profilePic || "https://via.placeholder.com/40"
+        } : { name: "User", email: "", pfp: "https://via.placeholder.com/40" };
+    }
+    return userCache[uid];
+}
+
+// Overlapping avatar stack for group rows and headers (first few members only)
+function renderAvatarStack(uids, size = 45) {
+    return `<div class="avatar-stack" style="width: ${size}px; height: ${size}px;">
+        ${uids.slice(0, 3).map(uid => `<img src="${userCache[uid]?.pfp || 'https://via.placeholder.com/40'}">`).join('')}
+    </div>`;
+}
+
+function loadConversations() {
     if (!auth.currentUser || !conversationList) return;
+    if (inboxUnsubscribe) inboxUnsubscribe();
+
+    const tab = currentTab;
+    inboxUnsubscribe = subscribeToInbox(async (threads) => {
+        inboxThreads = threads;
+        // Tab Filtering Logic: Only show chats relevant to the current view
+        const visible = threads.filter(thread => thread.type === tab);
+        const neededUids = new Set();
+        visible.forEach(thread => {
+            if (thread.type === CHAT_TYPES.GROUP) thread.participants.slice(0, 3).forEach(uid => neededUids.add(uid));
+            else neededUids.add(thread.otherUid);
+        });
+        await Promise.all([...neededUids].map(getUserProfile));
+        if (tab !== currentTab) return;
+
+        conversationList.innerHTML = '';
+        if (tab === CHAT_TYPES.GROUP && visible.length === 0) {
+            conversationList.innerHTML = '<p style="padding: 15px; color: #666; font-size: 13px;">No groups yet. Create one above for your club or study group.</p>';
+        }
 
-    // We only pull chats where the logged-in user is a participant
-    db.collection("chats")
-        .where("participants", "array-contains", auth.currentUser.uid)
-        .orderBy("lastUpdated", "desc")
-        .onSnapshot(async (snap) => {
-            conversationList.innerHTML = '';
-            
-            for (const doc of snap.docs) {
-                const chat = doc.data();
-                const chatId = doc.id;
-                
-                // Identify the chat type based on ID prefixes and metadata
-                const isLF = chatId.startsWith("LF_");
-                const isMarket = chat.itemId && !isLF;
-                const isGeneral = !isLF && !isMarket;
-
-                // Tab Filtering Logic: Only show chats relevant to the current view
-                if (currentTab === 'lost-found' && !isLF) continue;
-                if (currentTab === 'marketplace' && !isMarket) continue;
-                if (currentTab === 'general' && !isGeneral) continue;
-
-                const otherUid = chat.participants.find(id => id !== auth.currentUser.uid);
-                
-                // Lazy-loading user details into the cache
-                if (!userCache[otherUid]) {
-                    const userDoc = await db.collection("users").doc(otherUid).get();
-                    userCache[otherUid] = userDoc.exists ? {
-                        name: userDoc.data().name || "User",
-                        pfp: userDoc.data().profilePic || "https://via.placeholder.com/40"
-                    } : { name: "User", pfp: "https://via.placeholder.com/40" };
-                }
-
-                const userData = userCache[otherUid];
-                const lastMsg = chat.messages?.length > 0 ? chat.messages[chat.messages.length - 1].text : "New Chat";
-                
-                // UI Visual Cues: Color-coded badges for different chat categories
-                const badgeColor = isLF ? '#fbbc04' : isMarket ? '#34a853' : '#70757a';
-
-                const div = document.createElement('div');
-                div.className = `convo-item ${chatId === activeChatId ? 'active' : ''}`;
-                div.innerHTML = `
-                    <div style="display: flex; align-items: center; gap: 12px; padding: 10px;">
-                        <img src="${userData.pfp}" style="width: 45px; height: 45px; border-radius: 50%; object-fit: cover;">
-                        <div style="flex: 1; overflow: hidden;">
-                            <div style="display: flex; justify-content: space-between; align-items: center;">
-                                <strong style="font-size: 14px;">${userData.name}</strong>
-                                <span style="font-size: 9px; color: ${badgeColor}; font-weight: bold;">
-                                    ${isLF ? 'LF' : isMarket ? 'MKT' : 'GEN'}
-                                </span>
-                            </div>
-                            <p style="margin: 0; font-size: 12px; color: #666; white-space: nowrap; text-overflow: ellipsis; overflow: hidden;">
-                                ${lastMsg}
-                            </p>
+        visible.forEach((thread) => {
+            const isGroup = thread.type === CHAT_TYPES.GROUP;
+            const userData = isGroup ? { name: thread.title } : userCache[thread.otherUid];
+            const avatar = isGroup
+                ? renderAvatarStack(thread.participants)
+                : `<div class="presence-avatar">
+                       <img src="${userData.pfp}" style="width: 45px; height: 45px; border-radius: 50%; object-fit: cover;">
+                       <span class="presence-dot ${isOnline(presenceCache[thread.otherUid]) ? 'online' : ''}" data-presence-uid="${thread.otherUid}"></span>
+                   </div>`;
+            const badge = TYPE_BADGES[thread.type] || TYPE_BADGES[CHAT_TYPES.GENERAL];
+
+            const div = document.createElement('div');
+            div.className = `convo-item ${thread.id === activeChatId ? 'active' : ''}`;
+            div.innerHTML = `
+                <div style="display: flex; align-items: center; gap: 12px; padding: 10px;">
+                    ${avatar}
+                    <div style="flex: 1; overflow: hidden;">
+                        <div style="display: flex; justify-content: space-between; align-items: center;">
+                            <strong class="convo-name" style="font-size: 14px;"></strong>
+                            <span style="font-size: 9px; color: ${badge.color}; font-weight: bold;">
+                                ${thread.unreadCount > 0 && thread.id !== activeChatId ? `<span class="unread-count">${thread.unreadCount}</span>` : ''}
+                                ${badge.label}
+                            </span>
                         </div>
+                        <p class="convo-preview" style="margin: 0; font-size: 12px; color: #666; white-space: nowrap; text-overflow: ellipsis; overflow: hidden;"></p>
                     </div>
-                `;
-                div.onclick = () => openChat(chatId, userData.name);
-                conversationList.appendChild(div);
-            }
+                </div>
+            `;
+            div.querySelector('.convo-name').textContent = userData.name;
+            div.querySelector('.convo-preview').textContent = thread.lastMessage ? thread.preview : "New Chat";
+            div.onclick = () => openChat(thread.id, userData.name);
+            conversationList.appendChild(div);
         });
+
+        syncPresenceWatchers(visible.filter(t => t.otherUid).map(t => t.otherUid));
+    });
 }
 
+/**
+ * Presence dots: one live listener per person in the visible list. Watchers
+ * for people who scrolled out of the list (or tab) are dropped.
+ */
+function syncPresenceWatchers(uids) {
+    const wanted = new Set(uids);
+    presenceWatchers.forEach((unsubscribe, uid) => {
+        if (!wanted.has(uid)) {
+            unsubscribe();
+            presenceWatchers.delete(uid);
+        }
+    });
+    wanted.forEach(uid => {
+        if (presenceWatchers.has(uid)) return;
+        presenceWatchers.set(uid, watchPresence(uid, (profile) => {
+            presenceCache[uid] = profile;
+            document.querySelectorAll(`[data-presence-uid="${uid}"]`).forEach(dot => {
+                dot.classList.toggle('online', isOnline(profile));
+            });
+        }));
+    });
+}
+
+// Heartbeats can expire without a snapshot, so re-evaluate the dots every minute
+setInterval(() => {
+    document.querySelectorAll('[data-presence-uid]').forEach(dot => {
+        dot.classList.toggle('online', isOnline(presenceCache[dot.dataset.presenceUid]));
+    });
+}, 60 * 1000);
+
 // Global function to allow HTML buttons to trigger tab switches
 window.switchTab = (tabName) => {
     currentTab = tabName;
     document.querySelectorAll('.tab-btn').forEach(btn => {
-        const btnText = btn.innerText.toLowerCase();
-        btn.classList.toggle('active', btnText.includes(tabName.split('-')[0]));
+        btn.classList.toggle('active', btn.dataset.tab === tabName);
     });
 
-    // We only show the global user search bar in the 'General' tab
+    // We only show the global user search bar in the 'General' tab,
+    // and the "new group" form in the 'Groups' tab
     const searchBar = document.getElementById('user-search-container');
     if (searchBar) searchBar.style.display = tabName === 'general' ? 'flex' : 'none';
+    const groupBar = document.getElementById('group-create-container');
+    if (groupBar) groupBar.style.display = tabName === CHAT_TYPES.GROUP ? 'flex' : 'none';
 
     loadConversations();
+    if (messageSearchInput && messageSearchInput.value.trim()) runMessageSearch(messageSearchInput.value);
 };
 
 /**
@@ -115,11 +205,14 @@ window.switchTab = (tabName) => {
  * Verifies the student is logged in and checks for Admin status to 
  * show/hide the Admin Panel link accordingly.
  */
+startPresence();
+
 auth.onAuthStateChanged(async (user) => {
     if (user) {
         window.switchTab('general'); 
         try {
             const userDoc = await db.collection("users").doc(user.uid).get();
+            if (userDoc.exists) ensureDirectoryEntry(user, userDoc.data()).catch(err => console.error("Directory Error:", err));
             if (userDoc.exists && userDoc.data().role === 'admin') {
                 const adminLink = document.getElementById('admin-panel-link');
                 if (adminLink) adminLink.style.display = 'block';
@@ -137,123 +230,694 @@ auth.onAuthStateChanged(async (user) => {
  * Allows students to find others by name or email. 
  * Once a user is selected, it triggers a 'Chat Initiation' which either 
  * resumes an existing chat or creates a new one in the database.
+ * Lookups go through the indexed user directory; typing is debounced and
+ * only the newest request is allowed to paint the dropdown. Arrow keys move
+ * through the results, Enter opens the highlighted one, Escape closes.
  */
+const SEARCH_DEBOUNCE_MS = 250;
+let searchTimer = null;
+let searchSequence = 0;
+let searchMatches = [];
+let activeSuggestion = -1;
+
+function hideSearchResults() {
+    if (searchResults) searchResults.style.display = 'none';
+    searchMatches = [];
+    activeSuggestion = -1;
+}
+
+function highlightSuggestion(index) {
+    const items = searchResults.querySelectorAll('.suggestion-item');
+    if (items.length === 0) return;
+    activeSuggestion = (index + items.length) % items.length;
+    items.forEach((item, i) => item.classList.toggle('active', i === activeSuggestion));
+    items[activeSuggestion].scrollIntoView({ block: 'nearest' });
+}
+
+function renderSearchResults(matches) {
+    searchMatches = matches;
+    activeSuggestion = -1;
+    searchResults.innerHTML = '';
+
+    if (matches.length === 0) {
+        searchResults.innerHTML = '<div class="suggestion-empty">No students found.</div>';
+    }
+    matches.forEach((user, index) => {
+        const div = document.createElement('div');
+        div.className = 'suggestion-item';
+        div.innerHTML = `<strong></strong><br><small></small>`;
+        div.querySelector('strong').textContent = user.name;
+        div.querySelector('small').textContent = user.email;
+        div.onmouseenter = () => highlightSuggestion(index);
+        div.onclick = () => initiateChat(user.email, user.uid, user.name);
+        searchResults.appendChild(div);
+    });
+    searchResults.style.display = 'block';
+}
+
+async function runSearch(queryText) {
+    const sequence = ++searchSequence;
+    try {
+        const matches = await searchUsers(queryText);
+        if (sequence !== searchSequence) return; // A newer keystroke already took over
+        renderSearchResults(matches);
+    } catch (err) { console.error("Search Error:", err); }
+}
+
 if (searchInput) {
-    searchInput.addEventListener('input', async (e) => {
-        const queryText = e.target.value.trim().toLowerCase();
-        if (queryText.length < 2) {
-            searchResults.style.display = 'none';
+    searchInput.addEventListener('input', (e) => {
+        const queryText = e.target.value.trim();
+        clearTimeout(searchTimer);
+        if (queryText.length < SEARCH_MIN_LENGTH) {
+            searchSequence++;
+            hideSearchResults();
             return;
         }
+        searchTimer = setTimeout(() => runSearch(queryText), SEARCH_DEBOUNCE_MS);
+    });
 
-        try {
-            const snap = await db.collection("users").limit(50).get();
-            searchResults.innerHTML = '';
-            let matchCount = 0;
-
-            snap.forEach(doc => {
-                const user = doc.data();
-                const name = (user.name || "").toLowerCase();
-                const email = (user.email || "").toLowerCase();
-
-                // Exclude the current user from their own search results
-                if ((name.includes(queryText) || email.includes(queryText)) && doc.id !== auth.currentUser.uid) {
-                    matchCount++;
-                    const div = document.createElement('div');
-                    div.className = 'suggestion-item';
-                    div.innerHTML = `<strong>${user.name || 'User'}</strong><br><small>${user.email}</small>`;
-                    div.onclick = () => initiateChat(user.email, doc.id, user.name);
-                    searchResults.appendChild(div);
-                }
-            });
-            searchResults.style.display = matchCount > 0 ? 'block' : 'none';
-        } catch (err) { console.error("Search Error:", err); }
+    searchInput.addEventListener('keydown', (e) => {
+        if (!searchResults || searchResults.style.display === 'none') return;
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            highlightSuggestion(activeSuggestion + 1);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            highlightSuggestion(activeSuggestion - 1);
+        } else if (e.key === 'Enter') {
+            const user = searchMatches[activeSuggestion >= 0 ? activeSuggestion : 0];
+            if (user) initiateChat(user.email, user.uid, user.name);
+        } else if (e.key === 'Escape') {
+            hideSearchResults();
+        }
+    });
+
+    // Close the dropdown when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.search-input-wrapper')) hideSearchResults();
     });
 }
 
 async function initiateChat(targetEmail, targetUid, targetName) {
-    if (searchResults) searchResults.style.display = 'none';
+    clearTimeout(searchTimer);
+    searchSequence++;
+    hideSearchResults();
     if (searchInput) searchInput.value = '';
 
-    // Create a unique deterministic ID for the chat between two people
-    const chatId = [auth.currentUser.uid, targetUid].sort().join('_');
-    const chatRef = db.collection("chats").doc(chatId);
-    const doc = await chatRef.get();
-
-    if (!doc.exists) {
-        await chatRef.set({
-            participants: [auth.currentUser.uid, targetUid],
-            participantEmails: [auth.currentUser.email, targetEmail],
-            messages: [],
-            lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+    // The messaging service resumes the existing DM or creates a new one
+    try {
+        const chatId = await openThread({ type: CHAT_TYPES.GENERAL, otherUid: targetUid, otherEmail: targetEmail });
+        if (chatId) openChat(chatId, targetName || targetEmail);
+    } catch (err) {
+        if (err.code === 'chat/blocked') alert(err.message);
+        else console.error("Chat initiation failed:", err);
+    }
+}
+
+/**
+ * Message search: looks through every conversation in the active tab and
+ * lists matching messages (newest first) in place of the conversation list.
+ * Picking a result opens that chat scrolled to the message.
+ */
+const MESSAGE_SEARCH_DEBOUNCE_MS = 400;
+let messageSearchTimer = null;
+let messageSearchSequence = 0;
+
+function showMessageSearch(active) {
+    if (messageSearchResults) messageSearchResults.style.display = active ? 'block' : 'none';
+    if (conversationList) conversationList.style.display = active ? 'none' : 'block';
+}
+
+async function runMessageSearch(queryText) {
+    const words = [...new Set(tokenize(queryText))];
+    const sequence = ++messageSearchSequence;
+    if (words.length === 0) {
+        showMessageSearch(false);
+        return;
+    }
+
+    showMessageSearch(true);
+    if (!words.some(word => word.length >= SEARCH_MIN_WORD_LENGTH)) {
+        messageSearchResults.innerHTML = `<p class="message-search-empty">Type at least ${SEARCH_MIN_WORD_LENGTH} letters to search.</p>`;
+        return;
+    }
+    messageSearchResults.innerHTML = '<p class="message-search-empty">Searching… ⏳</p>';
+    try {
+        const threads = inboxThreads.filter(thread => thread.type === currentTab);
+        const hits = await searchMessages(threads, queryText);
+        await Promise.all(hits.map(hit => hit.thread.otherUid && getUserProfile(hit.thread.otherUid)));
+        if (sequence !== messageSearchSequence) return; // Superseded by newer typing
+
+        messageSearchResults.innerHTML = '';
+        if (hits.length === 0) {
+            messageSearchResults.innerHTML = '<p class="message-search-empty">No messages found in this tab.</p>';
+            return;
+        }
+
+        hits.forEach(({ thread, message }) => {
+            const title = thread.otherUid ? userCache[thread.otherUid].name : thread.title;
+            const sender = message.senderId === auth.currentUser.uid ? 'You: ' : '';
+            const sentAt = message.timestamp?.toDate ? message.timestamp.toDate().toLocaleDateString() : '';
+
+            const div = document.createElement('div');
+            div.className = 'message-search-hit';
+            div.innerHTML = `
+                <div style="display: flex; justify-content: space-between;">
+                    <strong class="hit-title"></strong>
+                    <small style="color: #999;">${sentAt}</small>
+                </div>
+                <p class="hit-snippet"></p>
+            `;
+            div.querySelector('.hit-title').textContent = title;
+            const snippet = div.querySelector('.hit-snippet');
+            snippet.textContent = sender;
+            snippet.appendChild(renderSnippet(message.text || message.attachment?.name || '', words));
+            div.onclick = () => openChat(thread.id, title, message.id);
+            messageSearchResults.appendChild(div);
         });
+    } catch (err) {
+        console.error("Message Search Error:", err);
+        if (sequence === messageSearchSequence) {
+            messageSearchResults.innerHTML = '<p class="message-search-empty">Search failed. Please try again.</p>';
+        }
     }
-    openChat(chatId, targetName || targetEmail);
+}
+
+if (messageSearchInput) {
+    messageSearchInput.addEventListener('input', () => {
+        clearTimeout(messageSearchTimer);
+        messageSearchTimer = setTimeout(() => runMessageSearch(messageSearchInput.value), MESSAGE_SEARCH_DEBOUNCE_MS);
+    });
+    messageSearchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            messageSearchInput.value = '';
+            clearTimeout(messageSearchTimer);
+            messageSearchSequence++;
+            showMessageSearch(false);
+        }
+    });
 }
 
 /**
  * --- 5. REAL-TIME MESSAGING ENGINE ---
  * Opens a persistent connection (Snapshot) to a specific conversation.
  * I designed the UI to show avatars on the appropriate side to mimic 
- * standard messaging app behavior.
+ * standard messaging app behavior. A second listener on the chat document
+ * supplies the read markers behind the ✓ / ✓✓ ticks on sent messages, and
+ * the header status line shows typing / online state. Each bubble carries a
+ * hover toolbar for reply / edit / delete; edits and tombstones arrive
+ * through the same live listener.
+ *
+ * focusMessageId (from message search) scrolls to and flashes that message,
+ * paging back through history until it has been loaded.
  */
-function openChat(chatId, displayName) {
+const MAX_FOCUS_PAGES = 20;
+
+async function openChat(chatId, displayName, focusMessageId = null) {
+    if (activeChatId) clearTyping(activeChatId);
     activeChatId = chatId;
-    document.getElementById('chat-header-info').textContent = `Chatting with: ${displayName}`;
+    chatHeaderInfo.textContent = `Chatting with: ${displayName}`;
+    if (groupPanel) groupPanel.style.display = 'none';
+    resetComposer();
     
     // Clean up old listeners to prevent memory leaks or dual-updates
-    if (chatListener) chatListener(); 
-    
-    chatListener = db.collection("chats").doc(chatId).onSnapshot(async (doc) => {
-        if (!messageContainer || !doc.exists) return;
+    teardownChatListeners();
+
+    // Older chats are upgraded (history migrated, type stored) before listening
+    try {
+        await resumeThread(chatId);
+    } catch (err) {
+        console.error("Chat Upgrade Error:", err);
+    }
+    if (activeChatId !== chatId) return; // User switched chats in the meantime
+
+    let latestMessages = [];
+    let latestMeta = { hasMore: false, isOlderPage: false };
+    let threadData = null;
+    let previousHeight = 0;
+    let lastReadMessageId = null;
+    let pendingFocus = focusMessageId;
+    let focusPagesLoaded = 0;
+
+    const render = (keepScroll = false) => {
+        if (!messageContainer || chatFeed !== feed) return;
+        const { hasMore, isOlderPage } = latestMeta;
+        const savedScrollTop = messageContainer.scrollTop;
+
         messageContainer.innerHTML = '';
-        const messages = doc.data().messages || [];
+        if (hasMore) {
+            const olderBtn = document.createElement('button');
+            olderBtn.className = 'load-older-btn';
+            olderBtn.textContent = 'Load older messages';
+            olderBtn.onclick = () => {
+                previousHeight = messageContainer.scrollHeight;
+                feed.loadOlder();
+            };
+            messageContainer.appendChild(olderBtn);
+        }
 
-        for (const msg of messages) {
+        const isGroup = threadData?.type === CHAT_TYPES.GROUP;
+        const byId = new Map(latestMessages.map(m => [m.id, m]));
+        for (const msg of latestMessages) {
             const isMe = msg.senderId === auth.currentUser.uid;
-            
-            // Check cache for avatars to keep rendering fast
-            if (!userCache[msg.senderId]) {
-                const uDoc = await db.collection("users").doc(msg.senderId).get();
-                userCache[msg.senderId] = uDoc.exists ? { pfp: uDoc.data().profilePic } : { pfp: "" };
-            }
-
-            const pic = userCache[msg.senderId].pfp || "https://via.placeholder.com/40";
+            const pic = userCache[msg.senderId].pfp;
+            const seen = isMe && isSeenByOthers(msg, threadData);
             const div = document.createElement('div');
             div.className = `msg-wrapper ${isMe ? 'sent' : 'received'}`;
+            div.dataset.msgId = msg.id;
             div.innerHTML = `
                 ${!isMe ? `<img src="${pic}" class="chat-avatar">` : ''}
-                <div class="msg-bubble">${msg.text}</div>
+                <div class="msg-bubble">
+                    ${isMe ? `<span class="msg-receipt ${seen ? 'seen' : ''}" title="${seen ? 'Seen' : 'Sent'}">${seen ? '✓✓' : '✓'}</span>` : ''}
+                </div>
                 ${isMe ? `<img src="${pic}" class="chat-avatar">` : ''}
             `;
+            const bubble = div.querySelector('.msg-bubble');
+            bubble.insertBefore(renderMessageBody(msg, byId.get(msg.replyTo?.id)), bubble.firstChild);
+            bubble.appendChild(renderMessageActions(chatId, msg, (target) => {
+                setReply(quoteOf(target, userCache[target.senderId]?.name));
+            }));
+
+            // In groups, label incoming bubbles with who sent them
+            if (isGroup && !isMe) {
+                const sender = document.createElement('small');
+                sender.className = 'msg-sender';
+                sender.textContent = userCache[msg.senderId].name;
+                bubble.insertBefore(sender, bubble.firstChild);
+            }
             messageContainer.appendChild(div);
         }
-        // Auto-scroll to the latest message
-        messageContainer.scrollTop = messageContainer.scrollHeight;
+
+        // Auto-scroll to the latest message, or hold position when paging back
+        if (keepScroll) messageContainer.scrollTop = savedScrollTop;
+        else messageContainer.scrollTop = isOlderPage
+            ? messageContainer.scrollHeight - previousHeight
+            : messageContainer.scrollHeight;
+        latestMeta = { hasMore, isOlderPage: false };
+    };
+
+    const feed = subscribeToMessages(chatId, async (messages, meta) => {
+        // Resolve avatars before touching the DOM so the list doesn't flicker
+        await Promise.all(messages.map(msg => getUserProfile(msg.senderId)));
+        if (chatFeed !== feed) return;
+
+        latestMessages = messages;
+        latestMeta = meta;
+        render();
+
+        if (pendingFocus) {
+            if (highlightMessage(pendingFocus)) {
+                pendingFocus = null;
+            } else if (meta.hasMore && focusPagesLoaded < MAX_FOCUS_PAGES) {
+                focusPagesLoaded++;
+                feed.loadOlder();
+            } else {
+                pendingFocus = null; // Deleted or too far back; stay at the bottom
+            }
+        }
+
+        // Read receipts: mark read whenever a new incoming message is on screen
+        const newest = messages[messages.length - 1];
+        const newestId = newest ? newest.id : 'empty';
+        if (newestId !== lastReadMessageId && !document.hidden) {
+            lastReadMessageId = newestId;
+            if (!newest || newest.senderId !== auth.currentUser.uid) {
+                markThreadRead(chatId).catch(err => console.error("Read Receipt Error:", err));
+            }
+        }
     });
+    chatFeed = feed;
+
+    // The thread doc changes on every message and read receipt; headers are
+    // only rebuilt when something they show changed
+    let groupHeaderKey = null;
+    threadUnsubscribe = subscribeToThread(chatId, async (chat) => {
+        threadData = chat;
+
+        if (chat.type === CHAT_TYPES.GROUP) {
+            if (!chat.participants.includes(auth.currentUser.uid)) {
+                closeActiveChat("You are no longer a member of this group.");
+                return;
+            }
+            const key = JSON.stringify([chat.name, chat.category, chat.ownerId, chat.participants]);
+            if (key !== groupHeaderKey) {
+                groupHeaderKey = key;
+                await Promise.all(chat.participants.map(getUserProfile));
+                if (activeChatId !== chatId) return;
+                renderGroupHeader(chat);
+                if (groupPanel && groupPanel.style.display !== 'none') renderGroupPanel(chat);
+            }
+        } else if (directHeader?.chatId === chatId) {
+            applyDirectBlockState();
+        } else {
+            renderDirectHeader(chat, displayName);
+        }
+
+        // Sender labels and ticks come from the thread doc; keep the scroll position
+        if (latestMessages.length > 0) render(true);
+    });
+
+    // Header status line: "typing…" wins over online / last seen
+    let typingUids = [];
+    let otherPresence = null;
+    const renderStatus = () => {
+        if (!chatHeaderStatus || activeChatId !== chatId) return;
+        if (typingUids.length > 0) {
+            const isGroup = threadData?.type === CHAT_TYPES.GROUP;
+            const names = typingUids.map(uid => userCache[uid]?.name || "Someone");
+            chatHeaderStatus.textContent = isGroup ? `${names.join(', ')} typing…` : "typing…";
+            chatHeaderStatus.classList.add('typing');
+        } else {
+            chatHeaderStatus.textContent = otherPresence ? describePresence(otherPresence) : '';
+            chatHeaderStatus.classList.remove('typing');
+        }
+    };
+
+    typingUnsubscribe = subscribeToTyping(chatId, async (uids) => {
+        await Promise.all(uids.map(getUserProfile));
+        typingUids = uids;
+        renderStatus();
+    });
+
+    // Only 1:1 chats show the other person's presence
+    const chatParticipants = threadData?.participants || (await db.collection("chats").doc(chatId).get()).data()?.participants || [];
+    const otherUids = chatParticipants.filter(uid => uid !== auth.currentUser.uid);
+    if (activeChatId === chatId && otherUids.length === 1) {
+        headerPresenceUnsubscribe = watchPresence(otherUids[0], (profile) => {
+            otherPresence = profile;
+            renderStatus();
+        });
+    }
+}
+
+function teardownChatListeners() {
+    if (chatFeed) chatFeed.unsubscribe();
+    if (threadUnsubscribe) threadUnsubscribe();
+    if (typingUnsubscribe) typingUnsubscribe();
+    if (headerPresenceUnsubscribe) headerPresenceUnsubscribe();
+    chatFeed = null;
+    threadUnsubscribe = null;
+    typingUnsubscribe = null;
+    headerPresenceUnsubscribe = null;
+    if (chatHeaderStatus) chatHeaderStatus.textContent = '';
+}
+
+/**
+ * 1:1 header: who we're talking to, plus block / report controls. When
+ * either side has blocked the other, the footer is disabled and a banner
+ * explains why. It's built once per opened chat; whether the other person
+ * blocked us is read once then and again after our own block / unblock.
+ */
+let directHeader = null; // { chatId, otherUid, theyBlockedMe } for the open 1:1 chat
+
+async function renderDirectHeader(chat, displayName) {
+    const otherUid = chat.participants.find(uid => uid !== auth.currentUser.uid);
+    const otherEmail = (chat.participantEmails || []).find(e => e !== auth.currentUser.email) || '';
+    directHeader = { chatId: chat.id, otherUid, theyBlockedMe: false };
+
+    chatHeaderInfo.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 10px;">
+            <span class="direct-title" style="flex: 1;"></span>
+            <button class="btn-secondary hub-block-btn">🚫 Block</button>
+            <button class="btn-secondary hub-report-btn">🚩 Report</button>
+        </div>
+    `;
+    const title = chatHeaderInfo.querySelector('.direct-title');
+    title.textContent = `Chatting with: ${displayName}`;
+
+    // Buyers see the seller's rating and completed sales next to the name
+    if (chat.type === CHAT_TYPES.MARKETPLACE && chat.itemId) {
+        const chatId = activeChatId;
+        sellerBadgeForItem(chat.itemId)
+            .then((badge) => { if (badge && activeChatId === chatId && title.isConnected) title.appendChild(badge); })
+            .catch(err => console.error("Seller Badge Error:", err));
+    }
+
+    chatHeaderInfo.querySelector('.hub-block-btn').onclick = async () => {
+        try {
+            if (hasBlocked(otherUid)) {
+                await unblockUser(otherUid);
+            } else {
+                if (!confirm(`Block ${displayName}? They won't be able to message you or start new chats.`)) return;
+                await blockUser(otherUid);
+            }
+            await refreshDirectBlockState(chat.id);
+        } catch (err) { console.error("Block Error:", err); }
+    };
+
+    chatHeaderInfo.querySelector('.hub-report-btn').onclick = async () => {
+        const reason = prompt(`Why are you reporting ${displayName}? (harassment, scam, spam...)`);
+        if (!reason || !reason.trim()) return;
+        try {
+            await reportUser({ uid: otherUid, email: otherEmail, reason: reason.trim(), chatId: chat.id });
+            alert("✅ Thanks. Our admins will review this conversation.");
+        } catch (err) { console.error("Report Error:", err); }
+    };
+
+    applyDirectBlockState();
+    await refreshDirectBlockState(chat.id);
+}
+
+async function refreshDirectBlockState(chatId) {
+    const header = directHeader;
+    if (!header || header.chatId !== chatId) return;
+    header.theyBlockedMe = !hasBlocked(header.otherUid) && await isBlockedBetween(header.otherUid);
+    if (activeChatId === chatId) applyDirectBlockState();
+}
+
+// No reads: our own block list is kept in memory by safety.js
+function applyDirectBlockState() {
+    if (!directHeader || activeChatId !== directHeader.chatId) return;
+    const iBlocked = hasBlocked(directHeader.otherUid);
+    const blocked = iBlocked || directHeader.theyBlockedMe;
+
+    const blockBtn = chatHeaderInfo.querySelector('.hub-block-btn');
+    if (blockBtn) blockBtn.textContent = iBlocked ? 'Unblock' : '🚫 Block';
+    [chatInput, sendBtn, attachBtn].forEach(el => { if (el) el.disabled = blocked; });
+    if (blockBanner) {
+        blockBanner.style.display = blocked ? 'block' : 'none';
+        blockBanner.textContent = iBlocked ? "You blocked this user. Unblock them to keep chatting." : "You can't reply to this conversation.";
+    }
+}
+
+function resetComposer() {
+    directHeader = null;
+    [chatInput, sendBtn, attachBtn].forEach(el => { if (el) el.disabled = false; });
+    if (blockBanner) blockBanner.style.display = 'none';
+    setReply(null);
 }
 
-// Function to push a new message object into the Firestore array
-const sendMessage = async () => {
+// Shows (or clears) the "Replying to…" strip above the input
+function setReply(quote) {
+    replyingTo = quote;
+    renderReplyBar(replyBar, quote, () => setReply(null));
+    if (quote && chatInput) chatInput.focus();
+}
+
+function closeActiveChat(notice) {
+    teardownChatListeners();
+    activeChatId = null;
+    chatHeaderInfo.textContent = notice || "Select a chat";
+    if (messageContainer) messageContainer.innerHTML = '';
+    if (groupPanel) groupPanel.style.display = 'none';
+    resetComposer();
+}
+
+/**
+ * --- 6. GROUP MANAGEMENT ---
+ * The header of a group chat shows its name, category and member avatars,
+ * plus a toggle for the members panel. Owners can invite by email and
+ * remove people there; everyone else gets a "Leave group" button.
+ */
+function renderGroupHeader(chat) {
+    const category = GROUP_CATEGORIES[chat.category] || GROUP_CATEGORIES.other;
+    chatHeaderInfo.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 10px;">
+            ${renderAvatarStack(chat.participants, 32)}
+            <div style="flex: 1;">
+                <strong class="group-title"></strong>
+                <small style="display: block; color: #666;">${category} · ${chat.participants.length} members</small>
+            </div>
+            <button class="btn-secondary group-members-btn">👥 Members</button>
+        </div>
+    `;
+    chatHeaderInfo.querySelector('.group-title').textContent = chat.name;
+    chatHeaderInfo.querySelector('.group-members-btn').onclick = () => {
+        const isOpen = groupPanel.style.display !== 'none';
+        groupPanel.style.display = isOpen ? 'none' : 'block';
+        if (!isOpen) renderGroupPanel(chat);
+    };
+}
+
+function renderGroupPanel(chat) {
+    if (!groupPanel) return;
+    const isOwner = chat.ownerId === auth.currentUser.uid;
+
+    groupPanel.innerHTML = `
+        <div class="group-member-list"></div>
+        ${isOwner ? `
+            <div class="search-box" style="padding: 10px 0 0;">
+                <input type="email" class="group-invite-input" placeholder="Invite by email...">
+                <button class="btn-primary group-invite-btn">Invite</button>
+            </div>` : `
+            <button class="ban-btn group-leave-btn" style="margin-top: 10px;">Leave group</button>`}
+    `;
+
+    const list = groupPanel.querySelector('.group-member-list');
+    chat.participants.forEach(uid => {
+        const member = userCache[uid];
+        const row = document.createElement('div');
+        row.className = 'group-member-row';
+        row.innerHTML = `
+            <img src="${member.pfp}" class="chat-avatar">
+            <span class="member-name" style="flex: 1;"></span>
+            ${uid === chat.ownerId ? '<small class="label-tag">OWNER</small>' : ''}
+            ${isOwner && uid !== chat.ownerId ? '<button class="ban-btn member-remove-btn">Remove</button>' : ''}
+        `;
+        row.querySelector('.member-name').textContent = member.name;
+        const removeBtn = row.querySelector('.member-remove-btn');
+        if (removeBtn) {
+            removeBtn.onclick = async () => {
+                if (!confirm(`Remove ${member.name} from ${chat.name}?`)) return;
+                try {
+                    await removeGroupMember(chat.id, uid, member.email);
+                } catch (err) { console.error("Remove Member Error:", err); }
+            };
+        }
+        list.appendChild(row);
+    });
+
+    const inviteBtn = groupPanel.querySelector('.group-invite-btn');
+    if (inviteBtn) inviteBtn.onclick = () => inviteToGroup(chat, groupPanel.querySelector('.group-invite-input'));
+
+    const leaveBtn = groupPanel.querySelector('.group-leave-btn');
+    if (leaveBtn) {
+        leaveBtn.onclick = async () => {
+            if (!confirm(`Leave ${chat.name}?`)) return;
+            try {
+                await removeGroupMember(chat.id, auth.currentUser.uid, auth.currentUser.email);
+                closeActiveChat();
+            } catch (err) { console.error("Leave Group Error:", err); }
+        };
+    }
+}
+
+async function inviteToGroup(chat, input) {
+    const typed = input.value.trim();
+    if (!typed) return;
+
+    try {
+        // 'email' keeps the account's own casing; profiles without the lowercase copy are matched as typed
+        const users = db.collection("users");
+        let snap = await users.where("email_lowercase", "==", typed.toLowerCase()).limit(1).get();
+        if (snap.empty) snap = await users.where("email", "==", typed).limit(1).get();
+        if (snap.empty) {
+            alert("No student found with that email.");
+            return;
+        }
+        const invitee = snap.docs[0];
+        if (chat.participants.includes(invitee.id)) {
+            alert("They're already in this group.");
+            return;
+        }
+        await addGroupMember(chat.id, invitee.id, invitee.data().email);
+        input.value = '';
+    } catch (err) {
+        console.error("Invite Error:", err);
+    }
+}
+
+if (createGroupBtn) {
+    createGroupBtn.onclick = async () => {
+        const name = groupNameInput.value.trim();
+        if (!name) {
+            alert("Give your group a name first.");
+            return;
+        }
+        createGroupBtn.disabled = true;
+        try {
+            const chatId = await createGroup({ name, category: groupCategorySelect.value });
+            groupNameInput.value = '';
+            openChat(chatId, name);
+        } catch (err) {
+            console.error("Create Group Error:", err);
+        } finally {
+            createGroupBtn.disabled = false;
+        }
+    };
+}
+
+// Catch up on messages that arrived while the tab was in the background
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && activeChatId) {
+        markThreadRead(activeChatId).catch(err => console.error("Read Receipt Error:", err));
+    }
+});
+
+// Hands the typed message to the messaging service
+const handleSend = async () => {
     const text = chatInput.value.trim();
     if (!text || !activeChatId) return;
 
-    await db.collection("chats").doc(activeChatId).update({
-        messages: firebase.firestore.FieldValue.arrayUnion({
-            senderId: auth.currentUser.uid,
-            text: text,
-            timestamp: new Date().toISOString()
-        }),
-        lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
-    });
+    const quote = replyingTo;
     chatInput.value = '';
+    setReply(null);
+    try {
+        await sendMessage(activeChatId, text, quote);
+    } catch (err) {
+        console.error("Chat Send Error:", err);
+        chatInput.value = text;
+        setReply(quote);
+        if (err.code === 'chat/blocked') alert(err.message);
+    }
+};
+
+// Sends the picked file (photo or PDF), using any typed text as the caption
+const handleAttachment = async () => {
+    const file = attachInput.files[0];
+    attachInput.value = '';
+    if (!file || !activeChatId) return;
+
+    const problem = validateAttachment(file);
+    if (problem) {
+        alert(problem);
+        return;
+    }
+
+    const caption = chatInput.value.trim();
+    attachBtn.disabled = true;
+    attachBtn.textContent = '⏳';
+    try {
+        await sendAttachment(activeChatId, file, caption, replyingTo);
+        chatInput.value = '';
+        setReply(null);
+    } catch (err) {
+        console.error("Attachment Error:", err);
+        alert(err.code === 'chat/blocked' ? err.message : "❌ Couldn't send that file. Please try again.");
+    } finally {
+        attachBtn.textContent = '📎';
+        // Re-check rather than re-enable: the chat may be (or have become) blocked
+        if (directHeader) refreshDirectBlockState(directHeader.chatId).catch(err => console.error("Block Check Error:", err));
+        else attachBtn.disabled = false;
+    }
 };
 
 // --- EVENT BINDING ---
-if (sendBtn) sendBtn.onclick = sendMessage;
+if (sendBtn) sendBtn.onclick = handleSend;
+if (attachBtn && attachInput) {
+    attachBtn.onclick = () => { if (activeChatId) attachInput.click(); };
+    attachInput.addEventListener('change', handleAttachment);
+}
 if (chatInput) {
     chatInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') sendMessage();
+        if (e.key === 'Enter') handleSend();
+        if (e.key === 'Escape' && replyingTo) setReply(null);
+    });
+    // Typing indicator: throttled in the messaging service
+    chatInput.addEventListener('input', () => {
+        if (!activeChatId) return;
+        if (chatInput.value.trim()) notifyTyping(activeChatId);
+        else clearTyping(activeChatId);
     });
 }
 
@@ -0,0 +1,289 @@
+/**
+ * CAMPUS UTILITIES HUB - MESSAGE RENDERING
+ * Builds the inside of a chat bubble (text, photo, file card) for both the
+ * Chat Hub and the Marketplace / Lost & Found drawer, so a message looks the
+ * same wherever it is opened. Everything user-supplied goes through
+ * textContent or attributes, never innerHTML.
+ */
+import { auth } from './firebase-config.js';
+import { canModifyMessage, editMessage, deleteMessage, messagePreview } from './messaging.js';
+import { respondToOffer, OFFER_STATUS } from './market-deals.js';
+
+function formatBytes(bytes) {
+    if (!bytes) return '';
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function renderAttachment(attachment) {
+    if (attachment.kind === 'image') {
+        // Thumbnail inline, full resolution opens in a new tab
+        const link = document.createElement('a');
+        link.href = attachment.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.className = 'msg-attachment-image';
+
+        const img = document.createElement('img');
+        img.src = attachment.thumbUrl || attachment.url;
+        img.alt = attachment.name || 'Photo';
+        img.loading = 'lazy';
+        link.appendChild(img);
+        return link;
+    }
+
+    const card = document.createElement('a');
+    card.href = attachment.url;
+    card.target = '_blank';
+    card.rel = 'noopener';
+    card.className = 'msg-attachment-file';
+    card.textContent = `📄 ${attachment.name || 'Document'}`;
+
+    const size = document.createElement('small');
+    size.textContent = formatBytes(attachment.size);
+    card.appendChild(size);
+    return card;
+}
+
+/**
+ * Price offer card; the amount is a number, only the item name needs
+ * escaping. While an offer is pending, the person it was sent to can
+ * accept, decline or counter it and the sender can withdraw it.
+ */
+const OFFER_STATUS_LABELS = {
+    [OFFER_STATUS.PENDING]: '⏳ Waiting for a reply',
+    [OFFER_STATUS.ACCEPTED]: '✅ Accepted, item reserved',
+    [OFFER_STATUS.DECLINED]: '❌ Declined',
+    [OFFER_STATUS.COUNTERED]: '↔️ Countered',
+    [OFFER_STATUS.WITHDRAWN]: '↩️ Withdrawn'
+};
+
+function renderOffer(offer, senderId) {
+    const card = document.createElement('div');
+    const status = offer.status || OFFER_STATUS.PENDING;
+    card.className = `msg-offer offer-${status}`;
+    card.innerHTML = `
+        <small>💸 ${offer.kind === 'counter' ? 'COUNTER-OFFER' : 'PRICE OFFER'}</small>
+        <strong>₹${Number(offer.amount)}</strong>
+        ${offer.listPrice ? `<small>Listed at ₹${Number(offer.listPrice)}</small>` : ''}
+        <span class="msg-offer-item"></span>
+        <small class="msg-offer-status">${OFFER_STATUS_LABELS[status] || ''}</small>
+    `;
+    card.querySelector('.msg-offer-item').textContent = offer.itemName || '';
+
+    // Offers sent before the workflow existed have no offerId and stay read-only
+    if (status !== OFFER_STATUS.PENDING || !offer.offerId) return card;
+
+    const actions = document.createElement('div');
+    actions.className = 'msg-offer-actions';
+    const addButton = (label, handler) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.onclick = async (e) => {
+            e.stopPropagation();
+            btn.disabled = true;
+            try {
+                await handler();
+            } catch (err) {
+                console.error("Offer Error:", err);
+                alert(err.code === 'deal/unavailable' || err.code === 'chat/blocked' ? err.message : "❌ That didn't work. Please try again.");
+            } finally {
+                btn.disabled = false;
+            }
+        };
+        actions.appendChild(btn);
+    };
+
+    if (senderId === auth.currentUser?.uid) {
+        addButton('Withdraw', () => respondToOffer(offer.itemId, offer.offerId, OFFER_STATUS.WITHDRAWN));
+    } else {
+        addButton('Accept', async () => {
+            if (!confirm(`Accept ₹${offer.amount}? The item will be reserved for the buyer.`)) return;
+            await respondToOffer(offer.itemId, offer.offerId, OFFER_STATUS.ACCEPTED);
+        });
+        addButton('Decline', () => respondToOffer(offer.itemId, offer.offerId, OFFER_STATUS.DECLINED));
+        addButton('Counter', async () => {
+            const input = prompt("Your counter-offer (₹):");
+            if (input === null) return;
+            const amount = parseFloat(input);
+            if (!(amount > 0)) {
+                alert("Please enter a valid amount.");
+                return;
+            }
+            await respondToOffer(offer.itemId, offer.offerId, OFFER_STATUS.COUNTERED, amount);
+        });
+    }
+    card.appendChild(actions);
+    return card;
+}
+
+/**
+ * Quote block shown above a reply. If the original is loaded we show its
+ * current text (so edits and deletes carry through); otherwise the snapshot
+ * taken when the reply was sent. Clicking jumps to the original.
+ */
+function renderQuote(replyTo, original) {
+    const quote = document.createElement('div');
+    quote.className = 'msg-quote';
+
+    const author = document.createElement('strong');
+    author.textContent = replyTo.senderId === auth.currentUser?.uid ? 'You' : replyTo.senderName;
+    const preview = document.createElement('span');
+    preview.textContent = original ? messagePreview(original) : replyTo.preview;
+
+    quote.append(author, preview);
+    quote.onclick = () => highlightMessage(replyTo.id);
+    return quote;
+}
+
+/**
+ * Returns a fragment with everything that belongs inside the bubble.
+ * 'original' is the live copy of the message being replied to, if loaded.
+ */
+export function renderMessageBody(msg, original = null) {
+    const fragment = document.createDocumentFragment();
+
+    if (msg.deleted) {
+        const tombstone = document.createElement('span');
+        tombstone.className = 'msg-text msg-deleted';
+        tombstone.textContent = '🚫 This message was deleted';
+        fragment.appendChild(tombstone);
+        return fragment;
+    }
+
+    if (msg.replyTo) fragment.appendChild(renderQuote(msg.replyTo, original));
+    if (msg.attachment) fragment.appendChild(renderAttachment(msg.attachment));
+    if (msg.offer) {
+        fragment.appendChild(renderOffer(msg.offer, msg.senderId));
+        return fragment; // The text is only a fallback summary of the offer
+    }
+
+    if (msg.text) {
+        const text = document.createElement('span');
+        text.className = 'msg-text';
+        text.textContent = msg.text;
+        fragment.appendChild(text);
+    }
+
+    if (msg.editedAt) {
+        const edited = document.createElement('small');
+        edited.className = 'msg-edited';
+        edited.textContent = '(edited)';
+        fragment.appendChild(edited);
+    }
+    return fragment;
+}
+
+// Scrolls to a message bubble (tagged with data-msg-id) and flashes it; false if it isn't loaded
+export function highlightMessage(msgId) {
+    const target = document.querySelector(`[data-msg-id="${msgId}"]`);
+    if (!target) return false;
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.add('msg-highlight');
+    setTimeout(() => target.classList.remove('msg-highlight'), 1500);
+    return true;
+}
+
+/**
+ * Search result snippet: a window of text around the first hit with every
+ * query word wrapped in <mark>. Built from text nodes, so message content
+ * can't inject markup.
+ */
+const SNIPPET_RADIUS = 40;
+
+export function renderSnippet(text, words) {
+    const fragment = document.createDocumentFragment();
+    const lower = text.toLowerCase();
+    const first = Math.min(...words.map(w => lower.indexOf(w)).filter(i => i >= 0));
+    const start = Number.isFinite(first) ? Math.max(0, first - SNIPPET_RADIUS) : 0;
+    const end = Math.min(text.length, (Number.isFinite(first) ? first : 0) + SNIPPET_RADIUS * 2);
+
+    const slice = text.slice(start, end);
+    const pattern = new RegExp(words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+    let cursor = 0;
+    if (start > 0) fragment.appendChild(document.createTextNode('…'));
+    for (const match of slice.matchAll(pattern)) {
+        fragment.appendChild(document.createTextNode(slice.slice(cursor, match.index)));
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        fragment.appendChild(mark);
+        cursor = match.index + match[0].length;
+    }
+    fragment.appendChild(document.createTextNode(slice.slice(cursor)));
+    if (end < text.length) fragment.appendChild(document.createTextNode('…'));
+    return fragment;
+}
+
+/**
+ * --- MESSAGE ACTIONS ---
+ * Hover toolbar on each bubble: anyone can reply, the sender can also edit
+ * or delete within the edit window. Edits use a simple prompt, the same
+ * way the rest of the app asks for short text.
+ */
+export function renderMessageActions(chatId, msg, onReply) {
+    const actions = document.createElement('div');
+    actions.className = 'msg-actions';
+    if (msg.deleted) return actions;
+
+    const addAction = (icon, title, handler) => {
+        const btn = document.createElement('button');
+        btn.textContent = icon;
+        btn.title = title;
+        btn.onclick = (e) => {
+            e.stopPropagation();
+            handler();
+        };
+        actions.appendChild(btn);
+    };
+
+    addAction('↩️', 'Reply', () => onReply(msg));
+    // Offers are withdrawn from their own card rather than edited or deleted
+    if (!canModifyMessage(msg) || msg.offer) return actions;
+
+    if (!msg.attachment || msg.text) {
+        addAction('✏️', 'Edit', async () => {
+            const text = prompt("Edit your message:", msg.text);
+            if (text === null || !text.trim() || text.trim() === msg.text) return;
+            try {
+                await editMessage(chatId, msg.id, text.trim());
+            } catch (err) {
+                console.error("Edit Message Error:", err);
+                alert(err.code === 'chat/edit-window' ? err.message : "❌ Couldn't edit that message.");
+            }
+        });
+    }
+    addAction('🗑️', 'Delete', async () => {
+        if (!confirm("Delete this message for everyone?")) return;
+        try {
+            await deleteMessage(chatId, msg.id);
+        } catch (err) {
+            console.error("Delete Message Error:", err);
+            alert(err.code === 'chat/edit-window' ? err.message : "❌ Couldn't delete that message.");
+        }
+    });
+    return actions;
+}
+
+/**
+ * Fills the "Replying to…" strip above a composer, or hides it when the
+ * quote is null. The ✕ button calls onCancel.
+ */
+export function renderReplyBar(bar, quote, onCancel) {
+    if (!bar) return;
+    if (!quote) {
+        bar.style.display = 'none';
+        bar.innerHTML = '';
+        return;
+    }
+    bar.style.display = 'flex';
+    bar.innerHTML = `
+        <div class="reply-bar-text">
+            <strong></strong>
+            <span></span>
+        </div>
+        <button class="reply-bar-cancel" title="Cancel reply">✕</button>
+    `;
+    bar.querySelector('strong').textContent = `Replying to ${quote.senderId === auth.currentUser?.uid ? 'yourself' : quote.senderName}`;
+    bar.querySelector('span').textContent = quote.preview;
+    bar.querySelector('.reply-bar-cancel').onclick = onCancel;
+}
@@ -6,6 +6,7 @@
  */
 
 import { auth, db, firebase } from './firebase-config.js';
+import { startMatchNotifications } from './lf-matching.js';
 
 // --- UI ELEMENT SELECTION ---
 const userDisplayName = document.getElementById('user-display-name');
@@ -34,6 +35,8 @@ auth.onAuthStateChanged(async (user) => {
                 if (userData.role === 'admin') {
                     if (adminLink) adminLink.style.display = 'block';
                     if (adminAnnounceSection) adminAnnounceSection.style.display = 'block';
+                } else if (userData.role === 'staff' && adminLink) {
+                    adminLink.style.display = 'block'; // Staff only see the custody desk in there
                 }
             } else {
                 if (userDisplayName) userDisplayName.textContent = user.email.split('@')[0];
@@ -44,6 +47,12 @@ auth.onAuthStateChanged(async (user) => {
             loadUtilityStatus();
             loadRecentComplaints();
 
+            // Lost & Found match alerts follow the student around the hub
+            startMatchNotifications((itemId) => {
+                if (window.showItemMatches) window.showItemMatches(itemId);
+                else window.location.href = `lost-found.html?matches=${itemId}`;
+            });
+
         } catch (error) {
             console.error("Dashboard Auth Error:", error);
         }
@@ -0,0 +1,229 @@
+/**
+ * CAMPUS UTILITIES HUB - FOUND ITEM CLAIMS
+ * Makes sure a found item goes back to its real owner:
+ * - When posting a found item, the finder writes a question for claimants
+ *   (shown on the report) and/or a hidden detail only the owner would know.
+ * - Anyone who thinks the item is theirs submits a claim with their answer.
+ * - The finder compares each answer with the hidden detail and approves or
+ *   rejects it. The approved claimant is recorded on the item, and only then
+ *   can it be marked returned.
+ *
+ * Storage under lost_found_items/{itemId}:
+ * - 'verificationQuestion' on the item itself, so claimants can see it
+ * - private/verification { hiddenDetail }: kept off the report, so the feed
+ *   and the claim dialog never load it. Who else can read it is up to the
+ *   project's Firestore rules, which aren't part of this repo.
+ * - claims/{claimantUid}: one claim per student
+ */
+import { auth, db, firebase } from './firebase-config.js';
+import { CHAT_TYPES, openThread, sendMessage } from './messaging.js';
+import { IN_CUSTODY, isFoundSide } from './lf-custody.js';
+
+export const CLAIM_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+const itemRef = (itemId) => db.collection("lost_found_items").doc(itemId);
+const claimsRef = (itemId) => itemRef(itemId).collection("claims");
+const verificationRef = (itemId) => itemRef(itemId).collection("private").doc("verification");
+
+function claimError(message) {
+    const err = new Error(message);
+    err.code = 'claim/not-allowed';
+    return err;
+}
+
+/**
+ * --- 1. THE FINDER'S SECRET ---
+ */
+export async function saveHiddenDetail(itemId, hiddenDetail) {
+    await verificationRef(itemId).set({
+        hiddenDetail,
+        finderId: auth.currentUser.uid
+    });
+}
+
+export async function getHiddenDetail(itemId) {
+    const doc = await verificationRef(itemId).get();
+    return doc.exists ? doc.data().hiddenDetail || '' : '';
+}
+
+/**
+ * --- 2. CLAIMING ---
+ * A student has one claim per item; re-submitting while it's pending
+ * replaces the answer, but a rejected claim stays rejected.
+ * Claims are written in a transaction that rechecks the item, so nobody
+ * can claim it once an approval has landed. A claim that lands while the
+ * finder is approving another one is declined afterwards (declineLateClaims).
+ */
+export async function getMyClaim(itemId) {
+    const doc = await claimsRef(itemId).doc(auth.currentUser.uid).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+export async function submitClaim(itemId, { answer, details = '' }) {
+    const me = auth.currentUser;
+    if (!answer) throw claimError("Please answer the finder's question.");
+
+    await db.runTransaction(async (tx) => {
+        const [itemSnap, existing] = await Promise.all([
+            tx.get(itemRef(itemId)),
+            tx.get(claimsRef(itemId).doc(me.uid))
+        ]);
+        const item = itemSnap.exists ? itemSnap.data() : null;
+        if (!item || !isFoundSide(item) || item.claimedBy) throw claimError("This item is no longer open for claims.");
+        if (item.reporterId === me.uid) throw claimError("You can't claim an item you found.");
+        if (existing.exists && existing.data().status === CLAIM_STATUS.REJECTED) throw claimError("The finder has already turned down your claim.");
+
+        tx.set(claimsRef(itemId).doc(me.uid), {
+            itemId,
+            finderId: item.reporterId,
+            claimantId: me.uid,
+            claimantEmail: me.email,
+            answer: answer.slice(0, 300),
+            details: details.slice(0, 500),
+            status: CLAIM_STATUS.PENDING,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    });
+}
+
+/**
+ * --- 3. REVIEWING CLAIMS (finder only) ---
+ */
+export function subscribeToClaims(itemId, onChange) {
+    return claimsRef(itemId).onSnapshot((snap) => {
+        const claims = snap.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+        claims.sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+        onChange(claims);
+    }, (err) => console.error("Claims Error:", err));
+}
+
+/**
+ * Card badges for the whole feed come from two collection-group listeners
+ * rather than one per card:
+ * - pending claims on items I found: onChange(Map itemId -> count)
+ * - my own claims: onChange(Map itemId -> status)
+ */
+export function subscribeToClaimsOnMyFinds(onChange) {
+    return db.collectionGroup("claims")
+        .where("finderId", "==", auth.currentUser.uid)
+        .onSnapshot((snap) => {
+            const counts = new Map();
+            snap.docs
+                .filter(doc => doc.data().status === CLAIM_STATUS.PENDING)
+                .forEach(doc => counts.set(doc.data().itemId, (counts.get(doc.data().itemId) || 0) + 1));
+            onChange(counts);
+        }, (err) => console.error("Claims Error:", err));
+}
+
+export function subscribeToMyClaims(onChange) {
+    return db.collectionGroup("claims")
+        .where("claimantId", "==", auth.currentUser.uid)
+        .onSnapshot((snap) => {
+            onChange(new Map(snap.docs.map(doc => [doc.data().itemId, doc.data().status])));
+        }, (err) => console.error("My Claims Error:", err));
+}
+
+/**
+ * Approving records the claimant on the item and turns every other pending
+ * claim down, in one transaction that fails if someone was approved first.
+ * Transactions can't run queries, so the pending claims are fetched inside
+ * the callback and re-read through the transaction.
+ */
+export async function approveClaim(itemId, item, claimantId) {
+    if (item.reporterId !== auth.currentUser.uid) throw claimError("Only the finder can approve claims.");
+    let approved = null;
+
+    await db.runTransaction(async (tx) => {
+        const itemSnap = await tx.get(itemRef(itemId));
+        if (!itemSnap.exists) throw claimError("This report no longer exists.");
+        if (itemSnap.data().claimedBy) throw claimError("A claim for this item has already been approved.");
+
+        const pending = await claimsRef(itemId).where("status", "==", CLAIM_STATUS.PENDING).get();
+        const claimSnaps = await Promise.all(pending.docs.map(doc => tx.get(doc.ref)));
+        const stillPending = claimSnaps.filter(snap => snap.exists && snap.data().status === CLAIM_STATUS.PENDING);
+        const chosen = stillPending.find(snap => snap.id === claimantId);
+        if (!chosen) throw claimError("This claim is no longer pending.");
+        approved = chosen.data();
+
+        const reviewedAt = firebase.firestore.FieldValue.serverTimestamp();
+        stillPending.forEach((snap) => {
+            tx.update(snap.ref, { status: snap.id === claimantId ? CLAIM_STATUS.APPROVED : CLAIM_STATUS.REJECTED, reviewedAt });
+        });
+        tx.update(itemRef(itemId), {
+            claimedBy: claimantId,
+            claimedByEmail: approved.claimantEmail,
+            claimApprovedAt: reviewedAt
+        });
+    });
+
+    await declineLateClaims(itemId, claimantId);
+
+    const handover = item.status === IN_CUSTODY
+        ? `Collect it from ${item.custody?.officeName || 'the security desk'} with your ID card.`
+        : "Let's arrange the handover here.";
+    await tellClaimant(itemId, item, approved, `✅ Your claim for "${item.itemName}" has been approved! ${handover}`);
+}
+
+// Claims still pending on an item whose owner was already approved, e.g. sent mid-approval
+export async function declineLateClaims(itemId, approvedId) {
+    const pending = await claimsRef(itemId).where("status", "==", CLAIM_STATUS.PENDING).get();
+    const late = pending.docs.filter(doc => doc.id !== approvedId);
+    if (late.length === 0) return;
+
+    const batch = db.batch();
+    const reviewedAt = firebase.firestore.FieldValue.serverTimestamp();
+    late.forEach(doc => batch.update(doc.ref, { status: CLAIM_STATUS.REJECTED, reviewedAt }));
+    await batch.commit();
+}
+
+export async function rejectClaim(itemId, item, claimantId) {
+    if (item.reporterId !== auth.currentUser.uid) throw claimError("Only the finder can reject claims.");
+    const ref = claimsRef(itemId).doc(claimantId);
+    let claim = null;
+
+    await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists || snap.data().status !== CLAIM_STATUS.PENDING) throw claimError("This claim is no longer pending.");
+        claim = snap.data();
+        tx.update(ref, { status: CLAIM_STATUS.REJECTED, reviewedAt: firebase.firestore.FieldValue.serverTimestamp() });
+    });
+    await tellClaimant(itemId, item, claim, `❌ Sorry, your answer didn't match the details of "${item.itemName}", so the claim was declined.`);
+}
+
+// Decisions are sent in the item's Lost & Found thread, so the handover can be arranged there
+async function tellClaimant(itemId, item, claim, text) {
+    try {
+        const chatId = await openThread({
+            type: CHAT_TYPES.LOST_FOUND,
+            otherUid: claim.claimantId,
+            otherEmail: claim.claimantEmail,
+            itemId
+        });
+        if (chatId) await sendMessage(chatId, text);
+    } catch (err) {
+        console.error("Claim Message Error:", err);
+    }
+}
+
+/**
+ * --- 4. HANDOVER ---
+ * A found item can only be marked returned once a claim was approved; the
+ * claimant is copied into 'returnedTo' as the record of who got it.
+ */
+export async function markClaimReturned(itemId, item) {
+    if (item.status === IN_CUSTODY) throw claimError(`This item is at ${item.custody?.officeName || 'a security desk'}; the desk records the pickup.`);
+    const update = {
+        status: 'returned',
+        returnedAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
+    if (item.status === 'found') {
+        if (!item.claimedBy) throw claimError("Approve the owner's claim before marking this item returned.");
+        update.returnedTo = item.claimedBy;
+        update.returnedToEmail = item.claimedByEmail;
+    }
+    await itemRef(itemId).update(update);
+}
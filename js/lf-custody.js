@@ -0,0 +1,155 @@
+/**
+ * CAMPUS UTILITIES HUB - FOUND ITEM CUSTODY
+ * A lot of found items end up at the security office or with a hostel
+ * warden rather than with the student who found them. Staff log it here:
+ * - Deposit: a 'found' item becomes 'in_custody' at a holding office (one
+ *   of the campus_locations landmarks).
+ * - Pickup: when someone collects it, the desk records who, their ID, when
+ *   and who handed it over, and the item becomes 'returned'.
+ *
+ * The current state lives on the item ('custody', 'pickup'). Every step is
+ * also added to lost_found_items/{itemId}/custody_log as the audit trail.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+import { CHAT_TYPES, openThread, sendMessage } from './messaging.js';
+
+export const IN_CUSTODY = 'in_custody';
+
+const itemRef = (itemId) => db.collection("lost_found_items").doc(itemId);
+const logRef = (itemId) => itemRef(itemId).collection("custody_log");
+
+function custodyError(message) {
+    const err = new Error(message);
+    err.code = 'custody/not-allowed';
+    return err;
+}
+
+// Found items can be claimed whether the finder still has them or a desk does
+export const isFoundSide = (item) => item.status === 'found' || item.status === IN_CUSTODY;
+
+/**
+ * --- 1. DEPOSIT ---
+ * office: { id, name } from campus_locations. receivedFrom defaults to the
+ * finder, but anyone can hand an item in.
+ */
+export async function depositItem(itemId, office, { receivedFrom = '', note = '' } = {}) {
+    const staff = auth.currentUser;
+    if (!office) throw custodyError("Pick the office that is holding the item.");
+    let item = null;
+
+    await db.runTransaction(async (tx) => {
+        const snap = await tx.get(itemRef(itemId));
+        if (!snap.exists) throw custodyError("This report no longer exists.");
+        item = snap.data();
+        if (item.status !== 'found') throw custodyError("Only found items can be deposited.");
+
+        const custody = {
+            officeId: office.id,
+            officeName: office.name,
+            receivedFrom: receivedFrom || item.reportedBy,
+            loggedBy: staff.email,
+            loggedByUid: staff.uid,
+            depositedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            note: note.slice(0, 300)
+        };
+        tx.update(itemRef(itemId), { status: IN_CUSTODY, custody });
+        tx.set(logRef(itemId).doc(), { action: 'deposit', ...custody, at: custody.depositedAt });
+    });
+
+    await tell(itemId, item.reporterId, item.reportedBy, `🏢 "${item.itemName}" has been logged at ${office.name}. Thanks for handing it in!`);
+    if (item.claimedBy) {
+        await tell(itemId, item.claimedBy, item.claimedByEmail, `🏢 Your "${item.itemName}" is now at ${office.name}. Bring your ID card to collect it.`);
+    }
+}
+
+/**
+ * --- 2. PICKUP ---
+ * collector: { name, email, idNumber }. If the collector is the approved
+ * claimant, their account is linked to the record as well.
+ */
+export async function recordPickup(itemId, { name, email = '', idNumber, note = '' }) {
+    const staff = auth.currentUser;
+    if (!name || !idNumber) throw custodyError("Enter the collector's name and ID number.");
+    let item = null;
+
+    await db.runTransaction(async (tx) => {
+        const snap = await tx.get(itemRef(itemId));
+        if (!snap.exists) throw custodyError("This report no longer exists.");
+        item = snap.data();
+        if (item.status !== IN_CUSTODY) throw custodyError("This item isn't held at a desk.");
+
+        const isClaimant = !!item.claimedByEmail && email.toLowerCase() === item.claimedByEmail.toLowerCase();
+        const pickup = {
+            collectedBy: name.slice(0, 80),
+            collectedByEmail: email,
+            collectedByUid: isClaimant ? item.claimedBy : null,
+            idNumber: idNumber.slice(0, 40),
+            officeId: item.custody?.officeId || null,
+            officeName: item.custody?.officeName || '',
+            handedOverBy: staff.email,
+            handedOverByUid: staff.uid,
+            collectedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            note: note.slice(0, 300)
+        };
+        const update = {
+            status: 'returned',
+            pickup,
+            returnedAt: pickup.collectedAt
+        };
+        if (isClaimant) {
+            update.returnedTo = item.claimedBy;
+            update.returnedToEmail = item.claimedByEmail;
+        }
+        tx.update(itemRef(itemId), update);
+        tx.set(logRef(itemId).doc(), { action: 'pickup', ...pickup, at: pickup.collectedAt });
+    });
+
+    await tell(itemId, item.reporterId, item.reportedBy, `✅ "${item.itemName}" was collected from ${item.custody?.officeName || 'the desk'}. Thanks for helping it get home!`);
+}
+
+// Custody updates reach students through the item's Lost & Found thread
+async function tell(itemId, uid, email, text) {
+    if (!uid || uid === auth.currentUser.uid) return;
+    try {
+        const chatId = await openThread({ type: CHAT_TYPES.LOST_FOUND, otherUid: uid, otherEmail: email, itemId });
+        if (chatId) await sendMessage(chatId, text);
+    } catch (err) {
+        console.error("Custody Message Error:", err);
+    }
+}
+
+/**
+ * --- 3. DESK VIEW ---
+ * Everything a desk deals with: found items not yet deposited, items in
+ * custody, and the most recent pickups. onChange({ waiting, held, collected }).
+ * Returned items pile up forever, so pickups are their own query capped at
+ * RECENT_PICKUPS (status + pickup.collectedAt needs a composite index).
+ */
+const RECENT_PICKUPS = 20;
+
+export function subscribeToCustodyDesk(onChange) {
+    const lists = { waiting: [], held: [], collected: [] };
+    const toItems = (snap) => snap.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+    const byNewest = (field) => (a, b) => (b[field]?.toMillis?.() || 0) - (a[field]?.toMillis?.() || 0);
+
+    const unsubscribers = [
+        db.collection("lost_found_items")
+            .where("status", "in", ['found', IN_CUSTODY])
+            .onSnapshot((snap) => {
+                const items = toItems(snap);
+                lists.waiting = items.filter(item => item.status === 'found' && !item.hidden).sort(byNewest('createdAt'));
+                lists.held = items.filter(item => item.status === IN_CUSTODY)
+                    .sort((a, b) => byNewest('depositedAt')(a.custody || {}, b.custody || {}));
+                onChange({ ...lists });
+            }, (err) => console.error("Custody Desk Error:", err)),
+        db.collection("lost_found_items")
+            .where("status", "==", 'returned')
+            .orderBy("pickup.collectedAt", "desc")
+            .limit(RECENT_PICKUPS)
+            .onSnapshot((snap) => {
+                lists.collected = toItems(snap);
+                onChange({ ...lists });
+            }, (err) => console.error("Custody Pickups Error:", err))
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
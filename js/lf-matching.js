@@ -0,0 +1,244 @@
+/**
+ * CAMPUS UTILITIES HUB - LOST & FOUND MATCHING
+ * Someone who lost a wallet and someone who found one can both post and
+ * never notice each other. When a report is posted, it is scored against
+ * every open report of the opposite kind, and likely pairs are saved as
+ * "possible matches" for both reporters.
+ *
+ * Scoring (0..1): similar item names and descriptions carry most of the
+ * weight. Category, location and the time between the two reports add to
+ * it when both posts have them. A different category, or something
+ * "found" well before it was lost, counts against it.
+ *
+ * Matches: lost_found_matches/{lostId}_{foundId}, with both reporters in
+ * 'participants' so each side can list its own.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+import { distanceMeters } from './campus-map.js';
+import { IN_CUSTODY } from './lf-custody.js';
+
+export const MATCH_THRESHOLD = 0.35;
+const MAX_MATCHES_PER_REPORT = 20;
+const MATCH_WINDOW_DAYS = 14;
+const NEARBY_METERS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'near', 'with', 'my', 'is', 'it', 'its',
+    'was', 'to', 'for', 'from', 'lost', 'found', 'someone', 'please', 'colour', 'color'
+]);
+
+const matchesRef = () => db.collection("lost_found_matches");
+
+/**
+ * --- 1. SCORING ---
+ * Words are lowercased, stop words dropped and a plural "s" trimmed, so
+ * "Black Keys" and "key (black)" compare as the same words.
+ */
+function keywordsOf(text) {
+    return new Set((text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word)));
+}
+
+// Dice coefficient: 1 when the word sets are identical, 0 when nothing is shared
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(word => { if (b.has(word)) shared++; });
+    return (2 * shared) / (a.size + b.size);
+}
+
+// When it was lost or found; the posting time stands in for older reports
+export function eventMillis(item) {
+    if (item.happenedAt?.toMillis) return item.happenedAt.toMillis();
+    return item.createdAt?.toMillis ? item.createdAt.toMillis() : Date.now();
+}
+
+export function scoreMatch(lost, found) {
+    const reasons = [];
+    let score = 0;
+
+    const nameScore = similarity(keywordsOf(lost.itemName), keywordsOf(found.itemName));
+    const textScore = similarity(
+        keywordsOf(`${lost.itemName} ${lost.description}`),
+        keywordsOf(`${found.itemName} ${found.description}`)
+    );
+    score += 0.35 * nameScore + 0.2 * textScore;
+    if (nameScore > 0) reasons.push('Similar name');
+    if (textScore >= 0.2) reasons.push('Similar description');
+
+    if (lost.category && found.category) {
+        if (lost.category === found.category) {
+            score += 0.2;
+            reasons.push('Same category');
+        } else {
+            score -= 0.25;
+        }
+    }
+
+    if (lost.location?.lat !== undefined && found.location?.lat !== undefined) {
+        const meters = distanceMeters(lost.location, found.location);
+        if (meters <= NEARBY_METERS) {
+            score += 0.15 * (1 - meters / NEARBY_METERS);
+            reasons.push(`About ${Math.round(meters)} m apart`);
+        }
+    } else if (lost.locationName && found.locationName) {
+        const placeScore = similarity(keywordsOf(lost.locationName), keywordsOf(found.locationName));
+        score += 0.15 * placeScore;
+        if (placeScore > 0) reasons.push('Same area');
+    }
+
+    const daysApart = (eventMillis(found) - eventMillis(lost)) / DAY_MS;
+    if (daysApart < -1) {
+        score -= 0.2; // Found a day or more before it went missing
+    } else if (daysApart <= MATCH_WINDOW_DAYS) {
+        score += 0.1 * (1 - Math.max(0, daysApart) / MATCH_WINDOW_DAYS);
+        reasons.push(daysApart < 1 ? 'Same day' : `${Math.round(daysApart)} day(s) apart`);
+    }
+
+    return { score: Math.max(0, Math.min(1, score)), reasons };
+}
+
+/**
+ * --- 2. FINDING MATCHES ---
+ * Called by the poster's client right after a report is saved. Returns how
+ * many possible matches were recorded.
+ */
+export async function findMatchesFor(itemId, item) {
+    if (item.status !== 'lost' && item.status !== 'found') return 0;
+    // Found items held at a security desk are still waiting for their owner
+    const opposite = item.status === 'lost' ? ['found', IN_CUSTODY] : ['lost'];
+    const snap = await db.collection("lost_found_items").where("status", "in", opposite).get();
+
+    const candidates = [];
+    snap.docs.forEach((doc) => {
+        const other = doc.data();
+        if (other.hidden || other.reporterId === item.reporterId) return;
+
+        const [lost, found] = item.status === 'lost'
+            ? [{ id: itemId, ...item }, { id: doc.id, ...other }]
+            : [{ id: doc.id, ...other }, { id: itemId, ...item }];
+        const { score, reasons } = scoreMatch(lost, found);
+        if (score >= MATCH_THRESHOLD) candidates.push({ lost, found, score, reasons });
+    });
+    if (candidates.length === 0) return 0;
+
+    candidates.sort((a, b) => b.score - a.score);
+    const batch = db.batch();
+    candidates.slice(0, MAX_MATCHES_PER_REPORT).forEach(({ lost, found, score, reasons }) => {
+        batch.set(matchesRef().doc(`${lost.id}_${found.id}`), {
+            lostId: lost.id,
+            foundId: found.id,
+            lostTitle: lost.itemName,
+            foundTitle: found.itemName,
+            lostOwnerId: lost.reporterId,
+            lostOwnerEmail: lost.reportedBy,
+            foundOwnerId: found.reporterId,
+            foundOwnerEmail: found.reportedBy,
+            participants: [lost.reporterId, found.reporterId],
+            score: Math.round(score * 100) / 100,
+            reasons,
+            status: 'open',
+            notified: [auth.currentUser.uid], // The poster sees the result straight away
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    });
+    await batch.commit();
+    return Math.min(candidates.length, MAX_MATCHES_PER_REPORT);
+}
+
+/**
+ * --- 3. MY MATCHES ---
+ * Each match is returned from the current student's side:
+ * { id, myItemId, otherItemId, otherTitle, otherOwnerId, otherOwnerEmail, score, reasons, notified }.
+ */
+export function fromMySide(match, uid) {
+    const mineIsLost = match.lostOwnerId === uid;
+    return {
+        ...match,
+        myItemId: mineIsLost ? match.lostId : match.foundId,
+        otherItemId: mineIsLost ? match.foundId : match.lostId,
+        otherTitle: mineIsLost ? match.foundTitle : match.lostTitle,
+        otherOwnerId: mineIsLost ? match.foundOwnerId : match.lostOwnerId,
+        otherOwnerEmail: mineIsLost ? match.foundOwnerEmail : match.lostOwnerEmail
+    };
+}
+
+export function subscribeToMyMatches(onChange) {
+    const me = auth.currentUser;
+    if (!me) return () => {};
+    return matchesRef()
+        .where("participants", "array-contains", me.uid)
+        .onSnapshot((snap) => {
+            const matches = snap.docs
+                .map(doc => fromMySide({ id: doc.id, ...doc.data() }, me.uid))
+                .filter(match => match.status === 'open')
+                .sort((a, b) => b.score - a.score);
+            onChange(matches);
+        }, (err) => console.error("Match Listener Error:", err));
+}
+
+// "Not a match" from either reporter closes it for both
+export async function dismissMatch(matchId) {
+    await matchesRef().doc(matchId).update({
+        status: 'dismissed',
+        dismissedBy: auth.currentUser.uid,
+        dismissedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * --- 4. NOTIFICATIONS ---
+ * Shows a toast for every match this student hasn't been told about yet,
+ * then records that they have. onView(myItemId) is called from the toast.
+ * The toast container is created on first use, so any page can call this.
+ */
+const MAX_VISIBLE_TOASTS = 3;
+let toastBox = null;
+
+function showMatchToast(match, onView) {
+    if (!toastBox) {
+        toastBox = document.createElement('div');
+        toastBox.className = 'market-alerts';
+        document.body.appendChild(toastBox);
+    }
+    const toast = document.createElement('div');
+    toast.className = 'market-alert';
+    toast.innerHTML = `
+        <div class="market-alert-text">
+            <strong>🔗 Possible match</strong>
+            <span class="match-toast-title"></span>
+            <small class="market-alert-search"></small>
+        </div>
+        <button class="btn-secondary market-alert-view">View</button>
+        <button class="market-alert-close" title="Dismiss">×</button>
+    `;
+    toast.querySelector('.match-toast-title').textContent = match.otherTitle;
+    toast.querySelector('.market-alert-search').textContent = `Might be your "${match.myItemId === match.lostId ? match.lostTitle : match.foundTitle}"`;
+    toast.querySelector('.market-alert-view').onclick = () => {
+        toast.remove();
+        onView(match.myItemId);
+    };
+    toast.querySelector('.market-alert-close').onclick = () => toast.remove();
+
+    toastBox.prepend(toast);
+    while (toastBox.children.length > MAX_VISIBLE_TOASTS) toastBox.lastChild.remove();
+}
+
+export function startMatchNotifications(onView) {
+    const me = auth.currentUser;
+    if (!me) return () => {};
+    return subscribeToMyMatches((matches) => {
+        matches
+            .filter(match => !(match.notified || []).includes(me.uid))
+            .forEach((match) => {
+                showMatchToast(match, onView);
+                matchesRef().doc(match.id).update({
+                    notified: firebase.firestore.FieldValue.arrayUnion(me.uid)
+                }).catch(err => console.error("Match Notify Error:", err));
+            });
+    });
+}
@@ -0,0 +1,71 @@
+/**
+ * CAMPUS UTILITIES HUB - PHOTO LIGHTBOX
+ * Full-screen viewer for listing photos. Arrow keys, the on-screen arrows
+ * and horizontal swipes move between photos; Escape or a tap on the
+ * backdrop closes it. The overlay is built on first use, so pages only
+ * need to import this module.
+ */
+
+const SWIPE_THRESHOLD_PX = 40;
+
+let overlay = null;
+let photos = [];
+let current = 0;
+
+function buildOverlay() {
+    overlay = document.createElement('div');
+    overlay.className = 'lightbox';
+    overlay.innerHTML = `
+        <button class="lightbox-close" title="Close">×</button>
+        <button class="lightbox-prev" title="Previous photo">‹</button>
+        <img class="lightbox-img" alt="">
+        <button class="lightbox-next" title="Next photo">›</button>
+        <div class="lightbox-counter"></div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.querySelector('.lightbox-close').onclick = closeLightbox;
+    overlay.querySelector('.lightbox-prev').onclick = (e) => { e.stopPropagation(); show(current - 1); };
+    overlay.querySelector('.lightbox-next').onclick = (e) => { e.stopPropagation(); show(current + 1); };
+    overlay.querySelector('.lightbox-img').onclick = (e) => e.stopPropagation();
+    overlay.onclick = closeLightbox;
+
+    // Touch swipe
+    let touchStartX = null;
+    overlay.addEventListener('touchstart', (e) => { touchStartX = e.touches[0].clientX; }, { passive: true });
+    overlay.addEventListener('touchend', (e) => {
+        if (touchStartX === null) return;
+        const delta = e.changedTouches[0].clientX - touchStartX;
+        touchStartX = null;
+        if (Math.abs(delta) > SWIPE_THRESHOLD_PX) show(current + (delta < 0 ? 1 : -1));
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!overlay.classList.contains('open')) return;
+        if (e.key === 'ArrowLeft') show(current - 1);
+        if (e.key === 'ArrowRight') show(current + 1);
+        if (e.key === 'Escape') closeLightbox();
+    });
+}
+
+function show(index) {
+    current = (index + photos.length) % photos.length;
+    overlay.querySelector('.lightbox-img').src = photos[current];
+    overlay.querySelector('.lightbox-counter').textContent = photos.length > 1 ? `${current + 1} / ${photos.length}` : '';
+
+    const single = photos.length < 2;
+    overlay.querySelector('.lightbox-prev').style.display = single ? 'none' : 'block';
+    overlay.querySelector('.lightbox-next').style.display = single ? 'none' : 'block';
+}
+
+export function openLightbox(urls, startIndex = 0) {
+    if (!urls || urls.length === 0) return;
+    if (!overlay) buildOverlay();
+    photos = urls;
+    show(startIndex);
+    overlay.classList.add('open');
+}
+
+export function closeLightbox() {
+    if (overlay) overlay.classList.remove('open');
+}
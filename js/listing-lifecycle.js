@@ -0,0 +1,168 @@
+/**
+ * CAMPUS UTILITIES HUB - LISTING LIFECYCLE
+ * Everything a seller does to a listing after posting it: editing (with a
+ * price history so buyers can see drops), deleting, and keeping it alive.
+ *
+ * Listings expire a set number of days after they were posted or last
+ * renewed. Admins set it in settings/marketplace ('listingLifetimeDays');
+ * DEFAULT_LISTING_LIFETIME_DAYS applies until that loads or if it's unset.
+ * There is no server job, so expiry is enforced by clients: the gallery
+ * skips expired listings, and every marketplace visit flips the visitor's
+ * own stale listings to status 'expired' (expireStaleListings), so queries
+ * and saved-search alerts stop treating them as available.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+import { LISTING_STATUS, isHoldExpired, releaseReservation } from './market-deals.js';
+
+export const DEFAULT_LISTING_LIFETIME_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const itemsRef = () => db.collection("marketplace_items");
+const settingsRef = () => db.collection("settings").doc("marketplace");
+
+let lifetimeDays = DEFAULT_LISTING_LIFETIME_DAYS;
+let settingsPromise = null;
+
+// Read once per page; call it after sign-in and before anything that sets an expiry
+export function loadListingSettings() {
+    if (!settingsPromise) {
+        settingsPromise = settingsRef().get()
+            .then((doc) => {
+                const days = doc.exists ? Number(doc.data().listingLifetimeDays) : NaN;
+                if (Number.isInteger(days) && days > 0) lifetimeDays = days;
+                return lifetimeDays;
+            })
+            .catch((err) => {
+                console.error("Listing Settings Error:", err);
+                settingsPromise = null; // Try again next time
+                return lifetimeDays;
+            });
+    }
+    return settingsPromise;
+}
+
+export const listingLifetimeDays = () => lifetimeDays;
+
+export async function saveListingLifetime(days) {
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+        const err = new Error("The listing lifetime must be between 1 and 365 days.");
+        err.code = 'settings/invalid';
+        throw err;
+    }
+    await settingsRef().set({ listingLifetimeDays: days }, { merge: true });
+    lifetimeDays = days;
+}
+
+/**
+ * --- 1. EXPIRY ---
+ * Listings from before expiry existed are aged from their createdAt.
+ */
+export function newExpiry(from = Date.now()) {
+    return firebase.firestore.Timestamp.fromMillis(from + lifetimeDays * DAY_MS);
+}
+
+export function expiryMillis(item) {
+    if (item.expiresAt?.toMillis) return item.expiresAt.toMillis();
+    const created = item.createdAt?.toMillis ? item.createdAt.toMillis() : Date.now();
+    return created + lifetimeDays * DAY_MS;
+}
+
+export function isExpired(item) {
+    // Sold listings are history, reserved and lent ones are mid-deal; none are stale
+    if (item.status === 'sold' || item.status === 'reserved' || item.status === LISTING_STATUS.LENT) return false;
+    if (item.status === 'expired') return true;
+    // Nor is a lend listing with a loan still booked on it (see loans.js)
+    if ((item.bookings || []).some(booking => booking.end?.toMillis?.() > Date.now())) return false;
+    return expiryMillis(item) <= Date.now();
+}
+
+export function daysLeft(item) {
+    return Math.max(0, Math.ceil((expiryMillis(item) - Date.now()) / DAY_MS));
+}
+
+export async function renewListing(itemId) {
+    await loadListingSettings();
+    await itemsRef().doc(itemId).update({
+        status: 'available',
+        expiresAt: newExpiry(),
+        renewedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Flips the signed-in seller's listings that ran out of time to 'expired'.
+ * Only their own: other sellers' listings are theirs to write, and the
+ * gallery hides those with isExpired() until their owner's next visit.
+ */
+export async function expireStaleListings() {
+    await loadListingSettings();
+    const snap = await itemsRef()
+        .where("sellerId", "==", auth.currentUser.uid)
+        .where("status", "==", 'available')
+        .get();
+
+    const stale = snap.docs.filter(doc => isExpired(doc.data()));
+    if (stale.length === 0) return 0;
+
+    const batch = db.batch();
+    stale.forEach(doc => batch.update(doc.ref, { status: 'expired' }));
+    await batch.commit();
+    return stale.length;
+}
+
+/**
+ * --- 2. EDITING ---
+ * A price change appends the old price to 'priceHistory', so cards can show
+ * "was ₹X" after a drop. Timestamps inside arrays can't be server
+ * timestamps, so the client clock is used there.
+ */
+export async function updateListing(item, changes) {
+    const update = { ...changes, updatedAt: firebase.firestore.FieldValue.serverTimestamp() };
+    if (changes.price !== undefined && changes.price !== item.price) {
+        update.priceHistory = firebase.firestore.FieldValue.arrayUnion({
+            price: item.price,
+            changedAt: firebase.firestore.Timestamp.now()
+        });
+    }
+    await itemsRef().doc(item.id).update(update);
+}
+
+export async function deleteListing(itemId) {
+    await itemsRef().doc(itemId).delete();
+}
+
+// The highest earlier price, if the current price is below it
+export function previousHigherPrice(item) {
+    const earlier = (item.priceHistory || []).map(entry => entry.price);
+    const highest = Math.max(...earlier);
+    return earlier.length > 0 && highest > item.price ? highest : null;
+}
+
+/**
+ * --- 3. MY LISTINGS ---
+ * Live list of the seller's own listings, newest first. Sorted on the
+ * client so the query needs no composite index. Listings that have run out
+ * of time are marked 'expired', and lapsed reservations released, as they
+ * stream past.
+ */
+export function subscribeToMyListings(onChange) {
+    const me = auth.currentUser;
+    if (!me) return () => {};
+
+    return itemsRef()
+        .where("sellerId", "==", me.uid)
+        .onSnapshot((snap) => {
+            const items = snap.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+            items.sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+
+            items
+                .filter(item => item.status === 'available' && isExpired(item))
+                .forEach(item => itemsRef().doc(item.id).update({ status: 'expired' })
+                    .catch(err => console.error("Listing Expiry Error:", err)));
+            items
+                .filter(isHoldExpired)
+                .forEach(item => releaseReservation(item.id).catch(err => console.error("Hold Release Error:", err)));
+
+            onChange(items);
+        }, (err) => console.error("My Listings Error:", err));
+}
@@ -0,0 +1,357 @@
+/**
+ * CAMPUS UTILITIES HUB - LENDING & RENTALS
+ * Short-term exchanges (a calculator for exam week, a drafter, a lab coat)
+ * alongside the sell-only listings:
+ * - A listing with listingType 'lend' is borrowed rather than bought. Its
+ *   'price' is the daily rate, and 0 means free lending.
+ * - Borrowers send a request with start and return dates. The owner
+ *   approves or declines it, and marks the item returned at the end.
+ * - Approving a request books its dates on the listing ('bookings'), and
+ *   no other request may overlap them. The listing itself only turns
+ *   'lent' once the loan's first day arrives, so it stays bookable for
+ *   other dates until then.
+ *
+ * Loans live in loans/{loanId}. Every request also goes into the
+ * marketplace chat for the item, so both sides can talk it over and the
+ * owner's reminders have somewhere to go.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+import { CHAT_TYPES, openThread, sendMessage } from './messaging.js';
+import { newExpiry } from './listing-lifecycle.js';
+import { LISTING_STATUS } from './market-deals.js';
+
+export const LISTING_TYPES = {
+    SELL: 'sell',
+    LEND: 'lend'
+};
+
+export const LOAN_STATUS = {
+    REQUESTED: 'requested',
+    ACTIVE: 'active',
+    DECLINED: 'declined',
+    CANCELLED: 'cancelled',
+    RETURNED: 'returned'
+};
+
+export const MAX_LOAN_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_INTERVAL_MS = DAY_MS; // Owners can nudge a late borrower once a day
+
+const loansRef = () => db.collection("loans");
+const itemRef = (itemId) => db.collection("marketplace_items").doc(itemId);
+
+function loanError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * --- 1. DATES & COST ---
+ * Date inputs give "YYYY-MM-DD". A loan starts at the beginning of its
+ * first day and is due at the end of its return day, in local time.
+ */
+export const isLendListing = (item) => item.listingType === LISTING_TYPES.LEND;
+
+export function startOfDay(value) {
+    return new Date(`${value}T00:00:00`);
+}
+
+export function endOfDay(value) {
+    return new Date(`${value}T23:59:59`);
+}
+
+export function loanDays(start, end) {
+    return Math.max(1, Math.round((end.getTime() + 1000 - start.getTime()) / DAY_MS));
+}
+
+export function loanCost(dailyRate, start, end) {
+    return (dailyRate || 0) * loanDays(start, end);
+}
+
+export function describeRate(dailyRate) {
+    return dailyRate > 0 ? `₹${dailyRate}/day` : 'Free to borrow';
+}
+
+const formatDate = (date) => date.toLocaleDateString([], { day: 'numeric', month: 'short' });
+
+export function dueDate(loan) {
+    return loan.returnDate?.toDate ? loan.returnDate.toDate() : null;
+}
+
+export function isOverdue(loan) {
+    const due = dueDate(loan);
+    return loan.status === LOAN_STATUS.ACTIVE && !!due && due.getTime() < Date.now();
+}
+
+// Active loans due back within the next day
+export function isDueSoon(loan) {
+    const due = dueDate(loan);
+    return loan.status === LOAN_STATUS.ACTIVE && !!due && !isOverdue(loan) && due.getTime() - Date.now() < DAY_MS;
+}
+
+export function daysOverdue(loan) {
+    const due = dueDate(loan);
+    return due ? Math.max(1, Math.ceil((Date.now() - due.getTime()) / DAY_MS)) : 0;
+}
+
+export function hasStarted(loan) {
+    return !!loan.startDate?.toMillis && loan.startDate.toMillis() <= Date.now();
+}
+
+// The approved booking (if any) that clashes with start–end; dates are Date or Timestamp
+export function conflictingBooking(item, start, end) {
+    const millis = (value) => (value.toMillis ? value.toMillis() : value.getTime());
+    const bookings = [...(item.bookings || [])];
+    // Loans approved before bookings existed only left 'lentUntil' behind
+    if (item.currentLoanId && item.lentUntil && !bookings.some(booking => booking.loanId === item.currentLoanId)) {
+        bookings.push({ loanId: item.currentLoanId, start: new Date(0), end: item.lentUntil });
+    }
+    return bookings.find(booking =>
+        millis(booking.start) <= millis(end) && millis(start) <= millis(booking.end)) || null;
+}
+
+// Lending is only closed off by a sale or a buyer's hold
+const canBook = (item) => item.status === LISTING_STATUS.AVAILABLE || item.status === LISTING_STATUS.LENT;
+
+/**
+ * --- 2. REQUESTS ---
+ * Throws 'loan/invalid-dates' for a range that is in the past, backwards
+ * or longer than MAX_LOAN_DAYS, and 'loan/unavailable' if the item can't
+ * be borrowed or those dates are already booked.
+ */
+export async function requestLoan(itemId, item, { startValue, endValue, note = '' }) {
+    const me = auth.currentUser;
+    if (!startValue || !endValue) throw loanError('loan/invalid-dates', "Please pick both dates.");
+
+    const start = startOfDay(startValue);
+    const end = endOfDay(endValue);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (start < today) throw loanError('loan/invalid-dates', "The loan can't start in the past.");
+    if (end < start) throw loanError('loan/invalid-dates', "The return date must be after the start date.");
+    if (loanDays(start, end) > MAX_LOAN_DAYS) throw loanError('loan/invalid-dates', `Loans can last up to ${MAX_LOAN_DAYS} days.`);
+    if (!canBook(item)) throw loanError('loan/unavailable', "This item can't be borrowed right now.");
+    if (conflictingBooking(item, start, end)) throw loanError('loan/unavailable', "Someone has already booked it for some of those dates.");
+
+    const chatId = await openThread({
+        type: CHAT_TYPES.MARKETPLACE,
+        otherUid: item.sellerId,
+        otherEmail: item.sellerEmail,
+        itemId
+    });
+
+    const days = loanDays(start, end);
+    const totalCost = loanCost(item.price, start, end);
+    await loansRef().add({
+        itemId,
+        itemName: item.itemName,
+        ownerId: item.sellerId,
+        ownerEmail: item.sellerEmail,
+        borrowerId: me.uid,
+        borrowerEmail: me.email,
+        chatId,
+        dailyRate: item.price || 0,
+        totalCost,
+        startDate: firebase.firestore.Timestamp.fromDate(start),
+        returnDate: firebase.firestore.Timestamp.fromDate(end),
+        note: note.slice(0, 300),
+        status: LOAN_STATUS.REQUESTED,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+
+    const cost = totalCost > 0 ? `₹${totalCost} for ${days} day${days === 1 ? '' : 's'}` : 'free';
+    await sendMessage(chatId, `📅 Borrow request: "${item.itemName}" from ${formatDate(start)} to ${formatDate(end)} (${cost}).${note ? ` ${note}` : ''}`);
+    return chatId;
+}
+
+/**
+ * --- 3. OWNER & BORROWER ACTIONS ---
+ * Approving books the dates on the listing in the same transaction, and
+ * fails if another loan got any of them first. A loan that starts today
+ * also puts the listing on loan straight away; later ones wait for
+ * startDueLoans().
+ */
+function lentFields(loanId, loan) {
+    return {
+        status: LISTING_STATUS.LENT,
+        currentLoanId: loanId,
+        lentTo: loan.borrowerId,
+        lentToEmail: loan.borrowerEmail,
+        lentUntil: loan.returnDate
+    };
+}
+
+export async function respondToLoan(loanId, action) {
+    const me = auth.currentUser.uid;
+    const ref = loansRef().doc(loanId);
+    let loan = null;
+
+    await db.runTransaction(async (tx) => {
+        const loanSnap = await tx.get(ref);
+        if (!loanSnap.exists) throw loanError('loan/unavailable', "This request no longer exists.");
+        loan = loanSnap.data();
+        const itemSnap = await tx.get(itemRef(loan.itemId));
+
+        if (loan.status !== LOAN_STATUS.REQUESTED) throw loanError('loan/unavailable', "This request has already been answered.");
+        const allowed = action === LOAN_STATUS.CANCELLED ? loan.borrowerId === me : loan.ownerId === me;
+        if (!allowed) throw loanError('loan/unavailable', "You can't respond to this request.");
+
+        if (action === LOAN_STATUS.ACTIVE) {
+            const item = itemSnap.exists ? itemSnap.data() : null;
+            if (!item || !canBook(item)) throw loanError('loan/unavailable', "This item can't be lent right now.");
+            if (conflictingBooking(item, loan.startDate, loan.returnDate)) {
+                throw loanError('loan/unavailable', "Another loan is already booked for some of those dates.");
+            }
+            const booking = { loanId, borrowerId: loan.borrowerId, start: loan.startDate, end: loan.returnDate };
+            tx.update(itemRef(loan.itemId), {
+                bookings: firebase.firestore.FieldValue.arrayUnion(booking),
+                ...(hasStarted(loan) && item.status === LISTING_STATUS.AVAILABLE ? lentFields(loanId, loan) : {})
+            });
+        }
+        tx.update(ref, { status: action, respondedAt: firebase.firestore.FieldValue.serverTimestamp() });
+    });
+
+    const replies = {
+        [LOAN_STATUS.ACTIVE]: hasStarted(loan)
+            ? `✅ Approved: "${loan.itemName}" is yours until ${formatDate(dueDate(loan))}.`
+            : `✅ Approved: "${loan.itemName}" is booked for you from ${formatDate(loan.startDate.toDate())} to ${formatDate(dueDate(loan))}.`,
+        [LOAN_STATUS.DECLINED]: `❌ Sorry, I can't lend "${loan.itemName}" for those dates.`,
+        [LOAN_STATUS.CANCELLED]: `↩️ I've cancelled my request to borrow "${loan.itemName}".`
+    };
+    if (loan.chatId && replies[action]) {
+        await sendMessage(loan.chatId, replies[action]).catch(err => console.error("Loan Message Error:", err));
+    }
+}
+
+/**
+ * Both end an approved loan and free its dates on the listing. If it was the
+ * loan currently running, the listing comes back with a fresh expiry, since
+ * it may have run out during the loan.
+ */
+async function closeLoan(loanId, check, loanUpdate) {
+    const ref = loansRef().doc(loanId);
+    let loan = null;
+    await db.runTransaction(async (tx) => {
+        const loanSnap = await tx.get(ref);
+        loan = loanSnap.exists ? loanSnap.data() : null;
+        if (!loan || loan.status !== LOAN_STATUS.ACTIVE) throw loanError('loan/unavailable', "This loan isn't active.");
+        check(loan);
+        const itemSnap = await tx.get(itemRef(loan.itemId));
+
+        tx.update(ref, loanUpdate);
+        if (!itemSnap.exists) return;
+        const item = itemSnap.data();
+        const update = { bookings: (item.bookings || []).filter(booking => booking.loanId !== loanId) };
+        if (item.currentLoanId === loanId) {
+            Object.assign(update, {
+                status: LISTING_STATUS.AVAILABLE,
+                expiresAt: newExpiry(),
+                currentLoanId: firebase.firestore.FieldValue.delete(),
+                lentTo: firebase.firestore.FieldValue.delete(),
+                lentToEmail: firebase.firestore.FieldValue.delete(),
+                lentUntil: firebase.firestore.FieldValue.delete()
+            });
+        }
+        tx.update(itemRef(loan.itemId), update);
+    });
+    return loan;
+}
+
+export async function markReturned(loanId) {
+    await closeLoan(loanId, (loan) => {
+        if (loan.ownerId !== auth.currentUser.uid) throw loanError('loan/unavailable', "Only the owner can mark an item returned.");
+    }, { status: LOAN_STATUS.RETURNED, returnedAt: firebase.firestore.FieldValue.serverTimestamp() });
+}
+
+// Borrowers can drop an approved booking until its first day arrives
+export async function cancelBooking(loanId) {
+    const loan = await closeLoan(loanId, (loan) => {
+        if (loan.borrowerId !== auth.currentUser.uid) throw loanError('loan/unavailable', "Only the borrower can cancel this booking.");
+        if (hasStarted(loan)) throw loanError('loan/unavailable', "This loan has already started.");
+    }, { status: LOAN_STATUS.CANCELLED, cancelledAt: firebase.firestore.FieldValue.serverTimestamp() });
+
+    if (loan.chatId) {
+        await sendMessage(loan.chatId, `↩️ I've cancelled my booking for "${loan.itemName}" (${formatDate(loan.startDate.toDate())} to ${formatDate(dueDate(loan))}).`)
+            .catch(err => console.error("Loan Message Error:", err));
+    }
+}
+
+/**
+ * There's no server job to start booked loans, so like listing expiry it
+ * happens lazily: whenever the owner opens the marketplace, their approved
+ * loans whose first day has arrived put the listing on loan. A listing that
+ * expired in the meantime is put on loan all the same.
+ */
+export async function startDueLoans() {
+    const owned = await loansRef()
+        .where("ownerId", "==", auth.currentUser.uid)
+        .where("status", "==", LOAN_STATUS.ACTIVE)
+        .get();
+    const due = owned.docs.filter(doc => hasStarted(doc.data()));
+
+    await Promise.all(due.map(doc => db.runTransaction(async (tx) => {
+        const loan = doc.data();
+        const itemSnap = await tx.get(itemRef(loan.itemId));
+        const status = itemSnap.exists ? itemSnap.data().status : null;
+        if (status !== LISTING_STATUS.AVAILABLE && status !== 'expired') return;
+        tx.update(itemRef(loan.itemId), lentFields(doc.id, loan));
+    })));
+}
+
+/**
+ * --- 4. OVERDUE REMINDERS ---
+ * Borrowers get an in-app reminder whenever they open the marketplace with
+ * a loan due or overdue (see overdueAlertsFor). Owners can also send a
+ * reminder into the item's chat, at most once a day per loan.
+ */
+export function canRemind(loan) {
+    const last = loan.lastRemindedAt?.toMillis ? loan.lastRemindedAt.toMillis() : 0;
+    return isOverdue(loan) && Date.now() - last >= REMINDER_INTERVAL_MS;
+}
+
+export async function sendReminder(loanId, loan) {
+    if (!canRemind(loan)) throw loanError('loan/reminded', "You've already sent a reminder today.");
+    const days = daysOverdue(loan);
+    await sendMessage(loan.chatId, `⏰ Reminder: "${loan.itemName}" was due back on ${formatDate(dueDate(loan))} (${days} day${days === 1 ? '' : 's'} overdue). Please return it soon!`);
+    await loansRef().doc(loanId).update({ lastRemindedAt: firebase.firestore.FieldValue.serverTimestamp() });
+}
+
+// One-off check when the page opens: what should this student be reminded about?
+export async function overdueAlertsFor() {
+    const me = auth.currentUser;
+    const [borrowed, lent] = await Promise.all([
+        loansRef().where("borrowerId", "==", me.uid).where("status", "==", LOAN_STATUS.ACTIVE).get(),
+        loansRef().where("ownerId", "==", me.uid).where("status", "==", LOAN_STATUS.ACTIVE).get()
+    ]);
+    const toLoans = (snap) => snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    return {
+        borrowed: toLoans(borrowed).filter(loan => isOverdue(loan) || isDueSoon(loan)),
+        lent: toLoans(lent).filter(isOverdue)
+    };
+}
+
+/**
+ * --- 5. ACTIVE LOANS VIEW ---
+ * Both sides of every loan the student is part of, newest first. Two
+ * listeners (as owner, as borrower) merged into one callback:
+ * onChange({ lent, borrowed }).
+ */
+export function subscribeToLoans(onChange) {
+    const me = auth.currentUser;
+    if (!me) return () => {};
+    const lists = { lent: [], borrowed: [] };
+
+    const listen = (field, key) => loansRef()
+        .where(field, "==", me.uid)
+        .onSnapshot((snap) => {
+            lists[key] = snap.docs
+                .map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }))
+                .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+            onChange({ ...lists });
+        }, (err) => console.error("Loans Error:", err));
+
+    const unsubscribers = [listen("ownerId", 'lent'), listen("borrowerId", 'borrowed')];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
@@ -3,6 +3,20 @@
  * Fixes: Auto-close dropdown, Green Header, ReferenceError, and Dynamic Usernames.
  */
 import { auth, db, firebase } from './firebase-config.js';
+import { CHAT_TYPES } from './messaging.js';
+import { startThread, loadHeaderInbox } from './chat-drawer.js';
+import { uploadToCloudinary } from './uploads.js';
+import { createPagedFeed } from './paged-feed.js';
+import { IN_CUSTODY, isFoundSide } from './lf-custody.js';
+import { promptForPostReport } from './safety.js';
+import { findMatchesFor, subscribeToMyMatches, dismissMatch, eventMillis } from './lf-matching.js';
+import {
+    CAMPUS_CENTER, LANDMARK_RADIUS_METERS, addCampusTiles, staticMapUrl, distanceMeters, subscribeToLandmarks
+} from './campus-map.js';
+import {
+    CLAIM_STATUS, saveHiddenDetail, getHiddenDetail, submitClaim, subscribeToClaims, subscribeToClaimsOnMyFinds,
+    subscribeToMyClaims, approveClaim, rejectClaim, declineLateClaims, markClaimReturned
+} from './lf-claims.js';
 
 // --- 1. DOM SELECTORS ---
 const reportForm = document.getElementById('report-item-form');
@@ -14,30 +28,52 @@ const toggleReportBtn = document.getElementById('toggle-report-item');
 const backBtn = document.getElementById('back-to-items');
 const filterType = document.getElementById('filter-type');
 const searchInput = document.getElementById('search-items');
+const filterCategory = document.getElementById('filter-category');
+const myReportsBtn = document.getElementById('toggle-my-reports');
+const boardTitle = document.getElementById('board-title');
+const feedSentinel = document.getElementById('lf-sentinel');
+const filterLandmark = document.getElementById('filter-landmark');
+const filterDays = document.getElementById('filter-days');
+const landmarkSelect = document.getElementById('item-landmark');
+const whenInput = document.getElementById('item-when');
+const mapStatus = document.getElementById('report-map-status');
+const clearPinBtn = document.getElementById('clear-pin-btn');
+
+const matchDialog = document.getElementById('match-dialog');
+const matchList = document.getElementById('match-list');
+const reportTypeSelect = document.getElementById('report-type');
+const verificationFields = document.getElementById('verification-fields');
+const claimDialog = document.getElementById('claim-dialog');
+const claimsReviewDialog = document.getElementById('claims-review-dialog');
+
+// Report categories; the <select> options in lost-found.html use the same keys.
+// lf-matching.js also compares them, so keep the keys stable.
+const LF_CATEGORIES = {
+    id_card: '🪪 ID Card',
+    electronics: '💻 Electronics',
+    keys: '🔑 Keys',
+    bottle: '🧴 Bottle',
+    wallet: '👛 Wallet / Purse',
+    bag: '🎒 Bag',
+    books: '📚 Books & Notes',
+    clothing: '👕 Clothing',
+    jewellery: '💍 Jewellery & Watches',
+    other: '📦 Other'
+};
 
 const inboxToggle = document.getElementById('inbox-toggle');
 const inboxMenu = document.getElementById('inbox-menu');
-const chatDrawer = document.getElementById('chat-drawer');
-const chatMessages = document.getElementById('chat-messages');
-const chatInput = document.getElementById('chat-input');
-const sendMsgBtn = document.getElementById('send-msg-btn');
 const logoutBtn = document.getElementById('logout-button');
 
-// --- 2. CONFIGURATION & STATE ---
-let currentActiveChatId = null;
-let currentChatListener = null;
-
-const CLOUD_NAME = "di1jmmord";
-const UPLOAD_PRESET = "CampusUtilityHub";
-
 /**
- * --- 3. UI VIEW CONTROLS ---
+ * --- 2. UI VIEW CONTROLS ---
  */
 if (toggleReportBtn) {
     toggleReportBtn.onclick = () => {
         itemsView.style.display = 'none';
         reportFormView.style.display = 'block';
         toggleReportBtn.style.visibility = 'hidden';
+        openLocationPicker();
     };
 }
 
@@ -50,8 +86,115 @@ if (backBtn) {
 }
 
 /**
- * --- 4. ASYNC ITEM SUBMISSION (Cloudinary + Firestore) ---
+ * --- 2b. WHERE & WHEN PICKER ---
+ * Reporters pick a landmark from campus_locations or drop a pin on the
+ * campus map, plus the date and time it happened. The Leaflet map is only
+ * created the first time the form opens, since it can't size itself while
+ * the form is hidden.
  */
+const DAY_MS = 24 * 60 * 60 * 1000;
+let landmarks = [];
+let pickerMap = null;
+let pinMarker = null;
+let pickedPin = null;
+
+// datetime-local inputs want local time as "YYYY-MM-DDTHH:MM"
+const toLocalInputValue = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+function nearestLandmark(point) {
+    let best = null;
+    landmarks.forEach((landmark) => {
+        const meters = distanceMeters(point, landmark);
+        if (meters <= LANDMARK_RADIUS_METERS && (!best || meters < best.meters)) best = { landmark, meters };
+    });
+    return best ? best.landmark : null;
+}
+
+function setPin(point, label) {
+    pickedPin = point;
+    if (!pickerMap) return;
+    if (!point) {
+        if (pinMarker) pickerMap.removeLayer(pinMarker);
+        pinMarker = null;
+        mapStatus.textContent = "Tap the map where it was lost or found.";
+        clearPinBtn.style.display = 'none';
+        return;
+    }
+    if (pinMarker) {
+        pinMarker.setLatLng([point.lat, point.lng]);
+    } else {
+        pinMarker = L.marker([point.lat, point.lng]).addTo(pickerMap);
+    }
+    mapStatus.textContent = `📍 ${label || 'Pinned on the map'}`;
+    clearPinBtn.style.display = 'inline';
+}
+
+function openLocationPicker() {
+    if (whenInput && !whenInput.value) {
+        const now = toLocalInputValue(new Date());
+        whenInput.value = now;
+        whenInput.max = now;
+    }
+    if (pickerMap || typeof L === 'undefined') return;
+
+    pickerMap = L.map('report-map').setView(CAMPUS_CENTER, 16);
+    addCampusTiles(pickerMap);
+    pickerMap.on('click', (e) => {
+        const point = { lat: e.latlng.lat, lng: e.latlng.lng };
+        const landmark = nearestLandmark(point);
+        landmarkSelect.value = landmark ? landmark.id : '';
+        setPin(point, landmark ? `Near ${landmark.name}` : null);
+    });
+}
+
+function resetLocationPicker() {
+    if (landmarkSelect) landmarkSelect.value = '';
+    if (whenInput) whenInput.value = '';
+    setPin(null);
+    if (pickerMap) pickerMap.setView(CAMPUS_CENTER, 16);
+}
+
+if (landmarkSelect) {
+    landmarkSelect.addEventListener('change', () => {
+        const landmark = landmarks.find(l => l.id === landmarkSelect.value);
+        if (!landmark) return setPin(null);
+        setPin({ lat: landmark.lat, lng: landmark.lng }, landmark.name);
+        if (pickerMap) pickerMap.setView([landmark.lat, landmark.lng], 17);
+    });
+}
+if (clearPinBtn) {
+    clearPinBtn.onclick = () => {
+        landmarkSelect.value = '';
+        setPin(null);
+    };
+}
+
+// Keeps both landmark dropdowns (form and feed filter) in step with the admin's list
+function fillLandmarkSelects() {
+    [[landmarkSelect, 'Somewhere else (pin it below)', ''], [filterLandmark, 'Anywhere on Campus', 'all']].forEach(([select, label, emptyValue]) => {
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = `<option value="${emptyValue}">${label}</option>`;
+        landmarks.forEach((landmark) => {
+            const option = document.createElement('option');
+            option.value = landmark.id;
+            option.textContent = landmark.name;
+            select.appendChild(option);
+        });
+        select.value = landmarks.some(l => l.id === current) ? current : emptyValue;
+    });
+}
+
+/**
+ * --- 3. ASYNC ITEM SUBMISSION (Cloudinary + Firestore) ---
+ * Found items also ask the finder for a question and/or a hidden detail,
+ * which claimants will have to match (see lf-claims.js).
+ */
+const syncVerificationFields = () => {
+    if (verificationFields) verificationFields.style.display = reportTypeSelect.value === 'found' ? 'block' : 'none';
+};
+if (reportTypeSelect) reportTypeSelect.addEventListener('change', syncVerificationFields);
+
 if (reportForm) {
     reportForm.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -60,6 +203,23 @@ if (reportForm) {
         const name = document.getElementById('item-name').value;
         const desc = document.getElementById('item-desc').value;
         const imageFile = document.getElementById('item-photo').files[0];
+        const categoryEl = document.getElementById('item-category');
+        const color = (document.getElementById('item-color')?.value || '').trim();
+        const brand = (document.getElementById('item-brand')?.value || '').trim();
+        const question = (document.getElementById('verify-question')?.value || '').trim();
+        const hiddenDetail = (document.getElementById('verify-detail')?.value || '').trim();
+        const happenedAt = whenInput?.value ? new Date(whenInput.value) : new Date();
+        const landmark = landmarks.find(l => l.id === landmarkSelect?.value);
+
+        if (isNaN(happenedAt.getTime()) || happenedAt.getTime() > Date.now() + 5 * 60 * 1000) {
+            uploadStatus.textContent = "⚠️ The date and time can't be in the future.";
+            return;
+        }
+
+        if (status === 'found' && !question && !hiddenDetail) {
+            uploadStatus.textContent = "⚠️ Add a question or a hidden detail so we can check claims.";
+            return;
+        }
 
         try {
             submitBtn.disabled = true;
@@ -68,30 +228,46 @@ if (reportForm) {
             let finalImageUrl = "https://via.placeholder.com/300?text=No+Image";
 
             if (imageFile) {
-                const formData = new FormData();
-                formData.append('file', imageFile);
-                formData.append('upload_preset', UPLOAD_PRESET);
-
-                const response = await fetch(`https://api.cloudinary.com/v1_1/${CLOUD_NAME}/image/upload`, {
-                    method: 'POST',
-                    body: formData
-                });
-                const data = await response.json();
+                const data = await uploadToCloudinary(imageFile);
                 finalImageUrl = data.secure_url;
             }
 
-            await db.collection("lost_found_items").add({
+            const newItem = {
                 itemName: name,
                 description: desc,
+                category: categoryEl && LF_CATEGORIES[categoryEl.value] ? categoryEl.value : 'other',
                 status: status,
                 imageUrl: finalImageUrl,
                 reportedBy: auth.currentUser.email,
                 reporterId: auth.currentUser.uid,
+                happenedAt: firebase.firestore.Timestamp.fromDate(happenedAt),
                 createdAt: firebase.firestore.FieldValue.serverTimestamp()
-            });
+            };
+            if (color) newItem.color = color.slice(0, 40);
+            if (brand) newItem.brand = brand.slice(0, 40);
+            if (pickedPin) newItem.location = { lat: pickedPin.lat, lng: pickedPin.lng };
+            if (landmark) {
+                newItem.landmarkId = landmark.id;
+                newItem.locationName = landmark.name;
+            }
+            if (status === 'found' && question) newItem.verificationQuestion = question;
+            const ref = await db.collection("lost_found_items").add(newItem);
+            if (status === 'found' && hiddenDetail) await saveHiddenDetail(ref.id, hiddenDetail);
+
+            // Look for the other half straight away (the timestamp is only a placeholder locally)
+            let matchCount = 0;
+            try {
+                matchCount = await findMatchesFor(ref.id, { ...newItem, createdAt: firebase.firestore.Timestamp.now() });
+            } catch (err) {
+                console.error("Matching Error:", err);
+            }
 
-            uploadStatus.textContent = "✅ Posted Successfully!";
+            uploadStatus.textContent = matchCount > 0
+                ? `✅ Posted! 🔗 ${matchCount} possible match${matchCount === 1 ? '' : 'es'} found, see your card.`
+                : "✅ Posted Successfully!";
             reportForm.reset();
+            syncVerificationFields();
+            resetLocationPicker();
             setTimeout(() => { backBtn.click(); uploadStatus.textContent = ""; }, 1500);
         } catch (error) {
             console.error("Upload Error:", error);
@@ -103,229 +279,490 @@ if (reportForm) {
 }
 
 /**
- * --- 5. PEER-TO-PEER MESSAGING LOGIC ---
+ * --- 4. PEER-TO-PEER MESSAGING LOGIC ---
+ * Handled by the shared chat drawer; Lost & Found threads are tagged with
+ * their own chat type so the Chat Hub can file them under the L&F tab.
  */
+window.contactReporter = (reporterId, reporterEmail, itemId) => startThread({
+    type: CHAT_TYPES.LOST_FOUND,
+    otherUid: reporterId,
+    otherEmail: reporterEmail,
+    itemId
+});
 
-// Listener defined first to fix ReferenceError
-function startChatListener(chatId) {
-    if (currentChatListener) currentChatListener(); 
-    currentChatListener = db.collection("chats").doc(chatId).onSnapshot((doc) => {
-        if (!doc.exists) return;
-        chatMessages.innerHTML = '';
-        const data = doc.data();
-        (data.messages || []).forEach(msg => {
-            const div = document.createElement('div');
-            div.className = `msg ${msg.senderId === auth.currentUser.uid ? 'sent' : 'received'}`;
-            div.textContent = msg.text;
-            chatMessages.appendChild(div);
-        });
-        chatMessages.scrollTop = chatMessages.scrollHeight;
+// Global click to close dropdown when clicking outside
+document.addEventListener('click', (e) => {
+    if (inboxMenu && !inboxMenu.contains(e.target) && !inboxToggle.contains(e.target)) {
+        inboxMenu.classList.remove('show');
+    }
+});
+
+/**
+ * --- 5. REAL-TIME DISCOVERY FEED ---
+ * One managed feed (paged-feed.js) instead of a new listener per keystroke:
+ * - Report type, category and "My reports" run in Firestore and restart it.
+ * - Keyword search (debounced), landmark and "last N days" only re-filter
+ *   the reports already loaded, and more pages load as the student scrolls.
+ * The landmark filter also catches reports pinned near that landmark, and
+ * "last N days" goes by when it happened rather than when it was posted.
+ * Posts a moderator has hidden are only shown to the student who posted them.
+ *
+ * Type + category + reporter combinations need composite indexes; Firestore
+ * logs a console link to create each one the first time it's used.
+ * Reports posted before categories existed only appear under "All".
+ */
+const feedItems = new Map(); // itemId -> item, for the card buttons and dialogs
+let lfFeed = null;
+let feedState = { hasMore: false, loading: true };
+let feedFilters = { status: 'all', category: 'all', mine: false, q: '' };
+
+function isAtLandmark(item, landmark) {
+    if (item.landmarkId === landmark.id) return true;
+    return !!item.location && distanceMeters(item.location, landmark) <= LANDMARK_RADIUS_METERS;
+}
+
+function formatWhen(item) {
+    return new Date(eventMillis(item)).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function buildFeedQuery() {
+    let query = db.collection("lost_found_items");
+    if (feedFilters.status !== 'all') query = query.where("status", "==", feedFilters.status);
+    if (feedFilters.category !== 'all') query = query.where("category", "==", feedFilters.category);
+    if (feedFilters.mine) query = query.where("reporterId", "==", auth.currentUser.uid);
+    return query.orderBy("createdAt", "desc");
+}
+
+function initializeFeed() {
+    if (!itemsContainer) return;
+    if (lfFeed) lfFeed.unsubscribe();
+    itemsContainer.innerHTML = '<p>Fetching the latest reports...</p>';
+
+    lfFeed = createPagedFeed(buildFeedQuery(), (items, state) => {
+        feedItems.clear();
+        items.forEach(item => feedItems.set(item.id, item));
+        feedState = state;
+        renderFeed();
     });
 }
 
-window.openChatSession = (chatId, otherUserEmail = "User") => {
-    currentActiveChatId = chatId;
+// Client-side part of the filtering; the rest is in buildFeedQuery()
+function matchesFeedFilters(item) {
+    if (item.hidden && item.reporterId !== auth.currentUser?.uid) return false;
 
-    // AUTO-CLOSE DROPDOWN: Hides the inbox menu
-    if (inboxMenu) {
-        inboxMenu.classList.remove('show');
+    const selectedLandmark = landmarks.find(l => l.id === filterLandmark?.value);
+    if (selectedLandmark && !isAtLandmark(item, selectedLandmark)) return false;
+    const days = filterDays && filterDays.value !== 'all' ? Number(filterDays.value) : null;
+    if (days !== null && eventMillis(item) < Date.now() - days * DAY_MS) return false;
+
+    const words = feedFilters.q.split(/\s+/).filter(Boolean);
+    const haystack = [item.itemName, item.description, item.color, item.brand, item.locationName]
+        .filter(Boolean).join(' ').toLowerCase();
+    return words.every(word => haystack.includes(word));
+}
+
+function renderFeed() {
+    const visible = [...feedItems.values()].filter(matchesFeedFilters);
+    itemsContainer.innerHTML = '';
+
+    if (visible.length === 0 && !feedState.loading && !feedState.hasMore) {
+        const empty = feedFilters.mine ? "You haven't posted any reports yet." : 'No reports found.';
+        itemsContainer.innerHTML = `<p style="padding: 20px;">${feedItems.size === 0 ? empty : 'No reports match your filters.'}</p>`;
     }
+    visible.forEach(item => itemsContainer.appendChild(buildReportCard(item)));
+    if (feedSentinel) feedSentinel.textContent = feedState.loading ? 'Loading more reports... ⏳' : '';
 
-    if (chatDrawer) {
-        chatDrawer.classList.add('open');
-        chatDrawer.style.display = 'flex';
-
-        // GREEN HEADER & DYNAMIC NAME
-        const chatHeader = chatDrawer.querySelector('.chat-header');
-        if (chatHeader) {
-            const displayName = otherUserEmail.split('@')[0];
-            const titleSpan = chatHeader.querySelector('span');
-            if (titleSpan) {
-                titleSpan.textContent = `💬 Chat with ${displayName}`;
-            }
-            chatHeader.style.backgroundColor = '#28a745'; // Green theme
-            chatHeader.style.color = 'white';
-        }
+    fillMatchSlots();
+    fillClaimSlots();
+
+    // Client-side filters can leave the screen short; keep paging until it fills
+    if (!feedState.loading && feedState.hasMore && sentinelInView()) lfFeed.loadMore();
+}
+
+function sentinelInView() {
+    if (!feedSentinel || itemsView.style.display === 'none') return false;
+    return feedSentinel.getBoundingClientRect().top < window.innerHeight + 200;
+}
+
+if (feedSentinel && 'IntersectionObserver' in window) {
+    new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting) && lfFeed) lfFeed.loadMore();
+    }, { rootMargin: '200px' }).observe(feedSentinel);
+}
 
-        startChatListener(chatId);
+function buildReportCard(item) {
+    const id = item.id;
+    const card = document.createElement('div');
+    card.className = 'item-card';
+    const statusClass = item.status === 'lost' ? 'status-lost' : 
+                        item.status === 'found' ? 'status-found' :
+                        item.status === IN_CUSTODY ? 'status-custody' : 'status-returned';
+    const isOwner = item.reporterId === auth.currentUser?.uid;
+    const isFound = isFoundSide(item);
+    const atDesk = item.status === IN_CUSTODY;
+
+    // Reporter-written fields are filled in with textContent below, never through innerHTML
+    card.innerHTML = `
+        <img class="lf-photo" alt="">
+        <div class="item-info">
+            <span class="status-tag ${statusClass}">${atDesk ? 'IN CUSTODY' : item.status.toUpperCase()}</span>
+            <small class="item-category">${LF_CATEGORIES[item.category] || LF_CATEGORIES.other}</small>
+            <h4 class="item-name"></h4>
+            <small class="lf-traits"></small>
+            <p class="item-desc"></p>
+            <small class="lf-where">🕒 ${formatWhen(item)}<span class="lf-where-name"></span></small>
+            ${item.location ? `
+                <a class="lf-mini-map" href="maps.html?lat=${item.location.lat}&lng=${item.location.lng}&name=${encodeURIComponent(item.locationName || item.itemName)}" title="Get walking directions">
+                    <img src="${staticMapUrl(item.location)}" alt="Map of where it happened" loading="lazy">
+                </a>` : ''}
+            ${atDesk || item.pickup ? '<small class="custody-note"></small>' : ''}
+            ${item.hidden ? '<small class="moderation-note">🚫 Hidden by moderators</small>' : ''}
+            ${isOwner ? `<div class="lf-match-slot" data-match-item="${id}"></div>` : ''}
+            ${isFound && item.claimedBy ? '<small class="claim-state"></small>' : ''}
+            ${isFound && !isOwner ? `<div class="lf-claim-slot" data-claim-item="${id}"></div>` : ''}
+            <div class="card-actions" style="margin-top: 15px;">
+                ${isOwner && isFound ? `<div class="lf-claims-slot" data-claims-item="${id}"></div>` : ''}
+                ${isOwner ? 
+                    `<div style="display:flex; gap:5px;">
+                        ${item.status !== 'returned' && !atDesk ? `<button onclick="markAsReturned('${id}')" style="flex:1; background:#28a745; color:white; border:none; padding:8px; border-radius:4px; cursor:pointer;">✅ Returned</button>` : ''}
+                        <button onclick="removeReport('${id}')" style="flex:1; background:#dc3545; color:white; border:none; padding:8px; border-radius:4px; cursor:pointer;">🗑️ Delete</button>
+                    </div>` : 
+                    `${isFound && !item.claimedBy ? `<button class="btn-primary" style="width:100%; margin-bottom:5px;" onclick="openClaimDialog('${id}')">🙋 This is mine</button>` : ''}
+                    <button class="${isFound ? 'btn-secondary' : 'btn-primary'}" style="width:100%" onclick="contactReporter('${item.reporterId}', '${item.reportedBy}', '${id}')">
+                        💬 Contact ${item.status === 'lost' ? 'Finder' : 'Owner'}
+                    </button>
+                    <button class="report-link-btn" onclick="reportPost('${id}')">🚩 Report post</button>`
+                }
+            </div>
+        </div>
+    `;
+    const photo = card.querySelector('.lf-photo');
+    photo.src = item.imageUrl;
+    photo.alt = item.itemName;
+    card.querySelector('.item-name').textContent = item.itemName;
+    card.querySelector('.item-desc').textContent = item.description;
+    if (isFound && item.claimedBy) {
+        card.querySelector('.claim-state').textContent = `✅ Claimed by ${isOwner ? item.claimedByEmail.split('@')[0] : 'its owner'}`;
     }
-};
+    card.querySelector('.lf-traits').textContent = [item.color, item.brand].filter(Boolean).join(' · ');
+    if (item.locationName) card.querySelector('.lf-where-name').textContent = ` · 📍 ${item.locationName}`;
+    if (atDesk) {
+        card.querySelector('.custody-note').textContent = `🏢 Held at ${item.custody?.officeName || 'a security desk'}. Claim it here, then collect it with your ID card.`;
+    } else if (item.pickup) {
+        const collector = isOwner || item.claimedBy === auth.currentUser?.uid ? ` by ${item.pickup.collectedBy}` : '';
+        const when = item.pickup.collectedAt?.toDate ? ` on ${item.pickup.collectedAt.toDate().toLocaleDateString([], { day: 'numeric', month: 'short' })}` : '';
+        card.querySelector('.custody-note').textContent = `📦 Collected from ${item.pickup.officeName || 'the desk'}${collector}${when}`;
+    }
+    return card;
+}
 
-window.contactReporter = async (reporterId, reporterEmail, itemId) => {
-    if (reporterId === auth.currentUser.uid) return;
+/**
+ * --- 5b. POSSIBLE MATCHES ---
+ * The reporter's own cards show how many opposite reports look like theirs.
+ * The count comes from a separate listener, so the slots are filled in place
+ * instead of re-rendering the feed.
+ */
+let myMatches = [];
+
+// Matches whose other report has since been returned or removed aren't worth showing
+function liveMatchesFor(itemId) {
+    return myMatches.filter((match) => {
+        if (match.myItemId !== itemId) return false;
+        const other = feedItems.get(match.otherItemId);
+        return !other || other.status === 'lost' || isFoundSide(other);
+    });
+}
 
-    const chatId = `LF_${itemId}_${auth.currentUser.uid}_${reporterId}`;
-    const chatRef = db.collection("chats").doc(chatId);
-    
-    try {
-        const doc = await chatRef.get();
-        if (!doc.exists) {
-            await chatRef.set({
-                itemId: itemId,
-                participants: [auth.currentUser.uid, reporterId],
-                participantEmails: [auth.currentUser.email, reporterEmail],
-                messages: [],
-                lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
-            });
-        }
-        window.openChatSession(chatId, reporterEmail); // Passes email to header
-    } catch (err) {
-        console.error("Chat initiation failed:", err);
+function fillMatchSlots() {
+    document.querySelectorAll('.lf-match-slot').forEach((slot) => {
+        const count = liveMatchesFor(slot.dataset.matchItem).length;
+        slot.innerHTML = count > 0
+            ? `<button class="match-badge-btn" onclick="showItemMatches('${slot.dataset.matchItem}')">🔗 ${count} possible match${count === 1 ? '' : 'es'}</button>`
+            : '';
+    });
+}
+
+window.showItemMatches = (itemId) => {
+    if (!matchDialog || !matchList) return;
+    const matches = liveMatchesFor(itemId);
+    matchList.innerHTML = '';
+    if (matches.length === 0) {
+        matchList.innerHTML = '<p class="loan-empty">No open matches for this report.</p>';
     }
+
+    matches.forEach((match) => {
+        const other = feedItems.get(match.otherItemId);
+        const row = document.createElement('div');
+        row.className = 'match-row';
+        row.innerHTML = `
+            ${other?.imageUrl ? `<img src="${other.imageUrl}" alt="">` : ''}
+            <div class="match-info">
+                <strong class="match-title"></strong>
+                <small class="match-score">${Math.round(match.score * 100)}% match · ${match.reasons.join(', ')}</small>
+                <small class="match-desc"></small>
+            </div>
+            <div class="match-actions">
+                <button class="btn-primary" onclick="contactMatch('${match.id}')">💬 Contact</button>
+                <button class="btn-secondary" onclick="rejectMatch('${match.id}')">Not a match</button>
+            </div>
+        `;
+        row.querySelector('.match-title').textContent = match.otherTitle;
+        row.querySelector('.match-desc').textContent = other ? other.description : '';
+        matchList.appendChild(row);
+    });
+    matchDialog.style.display = 'flex';
 };
 
-const sendMessage = async () => {
-    const text = chatInput.value.trim();
-    if (!text || !currentActiveChatId) return;
+window.contactMatch = (matchId) => {
+    const match = myMatches.find(m => m.id === matchId);
+    if (!match) return;
+    if (matchDialog) matchDialog.style.display = 'none';
+    window.contactReporter(match.otherOwnerId, match.otherOwnerEmail, match.otherItemId);
+};
 
+window.rejectMatch = async (matchId) => {
+    const match = myMatches.find(m => m.id === matchId);
     try {
-        await db.collection("chats").doc(currentActiveChatId).update({
-            messages: firebase.firestore.FieldValue.arrayUnion({
-                senderId: auth.currentUser.uid,
-                text: text,
-                timestamp: new Date().toISOString()
-            }),
-            lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
-        });
-        chatInput.value = ''; 
-        chatMessages.scrollTop = chatMessages.scrollHeight; 
-    } catch (error) {
-        console.error("Chat Send Error:", error);
+        await dismissMatch(matchId);
+        if (match) window.showItemMatches(match.myItemId);
+    } catch (err) {
+        console.error("Dismiss Match Error:", err);
     }
 };
 
-// Global click to close dropdown when clicking outside
-document.addEventListener('click', (e) => {
-    if (inboxMenu && !inboxMenu.contains(e.target) && !inboxToggle.contains(e.target)) {
-        inboxMenu.classList.remove('show');
-    }
-});
+if (matchDialog) {
+    document.getElementById('match-dialog-close').onclick = () => { matchDialog.style.display = 'none'; };
+    matchDialog.addEventListener('click', (e) => { if (e.target === matchDialog) matchDialog.style.display = 'none'; });
+}
 
 /**
- * --- 6. REAL-TIME DISCOVERY FEED ---
+ * --- 5c. OWNERSHIP CLAIMS ---
+ * Students claim a found item by answering the finder's question. The
+ * finder reviews the answers against their hidden detail. Card badges come
+ * from two feed-wide listeners, like the match slots above.
  */
-function initializeFeed() {
-    const selectedFilter = filterType.value;
-    const searchTerm = (searchInput.value || "").toLowerCase().trim();
+let pendingClaimCounts = new Map();
+let myClaimStatuses = new Map();
+let claimingItemId = null;
+let stopClaimsReview = null;
+
+const CLAIM_LABELS = {
+    [CLAIM_STATUS.PENDING]: '⏳ Your claim is waiting for the finder',
+    [CLAIM_STATUS.APPROVED]: '✅ Your claim was approved, check your messages',
+    [CLAIM_STATUS.REJECTED]: '❌ Your claim was declined'
+};
 
-    db.collection("lost_found_items").orderBy("createdAt", "desc").onSnapshot((snapshot) => {
-        itemsContainer.innerHTML = ''; 
-        if (snapshot.empty) {
-            itemsContainer.innerHTML = '<p style="padding: 20px;">No reports found.</p>';
+function fillClaimSlots() {
+    document.querySelectorAll('.lf-claim-slot').forEach((slot) => {
+        const status = myClaimStatuses.get(slot.dataset.claimItem);
+        slot.innerHTML = status ? `<small class="claim-state claim-${status}">${CLAIM_LABELS[status]}</small>` : '';
+    });
+    document.querySelectorAll('.lf-claims-slot').forEach((slot) => {
+        const item = feedItems.get(slot.dataset.claimsItem);
+        const count = pendingClaimCounts.get(slot.dataset.claimsItem) || 0;
+        if (!item || !isFoundSide(item)) {
+            slot.innerHTML = '';
             return;
         }
-
-        snapshot.forEach((doc) => {
-            const item = doc.data();
-            const itemName = (item.itemName || "").toLowerCase();
-            const itemDesc = (item.description || "").toLowerCase();
-
-            if (selectedFilter !== "all" && item.status !== selectedFilter) return;
-            const matchesSearch = itemName.includes(searchTerm) || itemDesc.includes(searchTerm);
-            if (searchTerm !== "" && !matchesSearch) return;
-
-            const card = document.createElement('div');
-            card.className = 'item-card';
-            const statusClass = item.status === 'lost' ? 'status-lost' : 
-                                item.status === 'found' ? 'status-found' : 'status-returned';
-            const isOwner = item.reporterId === auth.currentUser?.uid;
-
-            card.innerHTML = `
-                <img src="${item.imageUrl}" alt="${item.itemName}">
-                <div class="item-info">
-                    <span class="status-tag ${statusClass}">${item.status.toUpperCase()}</span>
-                    <h4>${item.itemName}</h4>
-                    <p>${item.description}</p>
-                    <div class="card-actions" style="margin-top: 15px;">
-                        ${isOwner ? 
-                            `<div style="display:flex; gap:5px;">
-                                <button onclick="markAsReturned('${doc.id}')" style="flex:1; background:#28a745; color:white; border:none; padding:8px; border-radius:4px; cursor:pointer;">✅ Returned</button>
-                                <button onclick="removeReport('${doc.id}')" style="flex:1; background:#dc3545; color:white; border:none; padding:8px; border-radius:4px; cursor:pointer;">🗑️ Delete</button>
-                            </div>` : 
-                            `<button class="btn-primary" style="width:100%" onclick="contactReporter('${item.reporterId}', '${item.reportedBy}', '${doc.id}')">
-                                💬 Contact ${item.status === 'lost' ? 'Finder' : 'Owner'}
-                            </button>`
-                        }
-                    </div>
-                </div>
-            `;
-            itemsContainer.appendChild(card);
-        });
+        slot.innerHTML = `<button class="btn-secondary claims-btn${count > 0 ? ' has-claims' : ''}" onclick="reviewClaims('${slot.dataset.claimsItem}')">
+            📥 Claims${count > 0 ? ` (${count} new)` : ''}
+        </button>`;
     });
 }
 
-/**
- * --- 7. UTILITY & EVENT HANDLERS ---
- */
-function loadHeaderInbox() {
-    if (!auth.currentUser) return;
-    db.collection("chats")
-        .where("participants", "array-contains", auth.currentUser.uid)
-        .orderBy("lastUpdated", "desc")
-        .onSnapshot((snap) => {
-            const container = document.getElementById('inbox-container');
-            const msgCount = document.getElementById('msg-count');
-            if (!container) return;
-            container.innerHTML = '';
-            let unread = 0;
-
-            snap.forEach((doc) => {
-                const chat = doc.data();
-                const emails = chat.participantEmails || [];
-                const otherEmail = emails.find(e => e !== auth.currentUser.email) || "User";
-                const lastMsg = (chat.messages || []).slice(-1)[0];
-                if (lastMsg && lastMsg.senderId !== auth.currentUser.uid) unread++;
-
-                const div = document.createElement('div');
-                div.className = 'chat-summary-card';
-                div.innerHTML = `
-                    <div style="display:flex; justify-content:space-between; align-items:center;">
-                        <strong>${otherEmail.split('@')[0]}</strong>
-                    </div>
-                    <p>${lastMsg ? lastMsg.text : 'New Chat'}</p>
-                `;
-                div.onclick = () => window.openChatSession(doc.id, otherEmail);
-                container.appendChild(div);
-            });
-            if (msgCount) msgCount.textContent = unread > 0 ? `(${unread})` : '';
+window.openClaimDialog = (itemId) => {
+    const item = feedItems.get(itemId);
+    if (!item || !claimDialog) return;
+    if (myClaimStatuses.get(itemId) === CLAIM_STATUS.REJECTED) {
+        alert("The finder has already turned down your claim for this item.");
+        return;
+    }
+    claimingItemId = itemId;
+    document.getElementById('claim-dialog-title').textContent = `🙋 Claim "${item.itemName}"`;
+    document.getElementById('claim-question').textContent = item.verificationQuestion
+        ? `The finder asks: ${item.verificationQuestion}`
+        : "Describe something about the item that only its owner would know.";
+    document.getElementById('claim-answer').value = '';
+    document.getElementById('claim-details').value = '';
+    claimDialog.style.display = 'flex';
+};
+
+const closeClaimDialog = () => {
+    claimingItemId = null;
+    claimDialog.style.display = 'none';
+};
+
+async function sendClaim() {
+    if (!feedItems.has(claimingItemId)) return closeClaimDialog();
+    const submitBtn = document.getElementById('claim-submit');
+    submitBtn.disabled = true;
+    try {
+        await submitClaim(claimingItemId, {
+            answer: document.getElementById('claim-answer').value.trim(),
+            details: document.getElementById('claim-details').value.trim()
         });
+        closeClaimDialog();
+        alert("✅ Claim sent! The finder will check your answer and message you.");
+    } catch (err) {
+        console.error("Claim Error:", err);
+        alert(err.code === 'claim/not-allowed' ? err.message : "❌ Couldn't send your claim. Please try again.");
+    } finally {
+        submitBtn.disabled = false;
+    }
 }
 
-// Draggable logic for chat
-const dragElement = (elmnt) => {
-    let pos1 = 0, pos2 = 0, pos3 = 0, pos4 = 0;
-    const header = elmnt.querySelector(".chat-header");
-    if (header) {
-        header.onmousedown = (e) => {
-            e.preventDefault();
-            pos3 = e.clientX; pos4 = e.clientY;
-            document.onmouseup = () => { document.onmouseup = null; document.onmousemove = null; };
-            document.onmousemove = (e) => {
-                pos1 = pos3 - e.clientX; pos2 = pos4 - e.clientY;
-                pos3 = e.clientX; pos4 = e.clientY;
-                elmnt.style.top = (elmnt.offsetTop - pos2) + "px";
-                elmnt.style.left = (elmnt.offsetLeft - pos1) + "px";
-                elmnt.style.bottom = "auto"; elmnt.style.right = "auto";
-            };
-        };
+if (claimDialog) {
+    document.getElementById('claim-cancel').onclick = closeClaimDialog;
+    document.getElementById('claim-submit').onclick = sendClaim;
+    claimDialog.addEventListener('click', (e) => { if (e.target === claimDialog) closeClaimDialog(); });
+}
+
+// Finder's side: their hidden detail next to every answer, with approve/reject
+window.reviewClaims = async (itemId) => {
+    const item = feedItems.get(itemId);
+    if (!item || !claimsReviewDialog) return;
+    const list = document.getElementById('claims-review-list');
+    const hint = document.getElementById('claims-hidden-detail');
+
+    document.getElementById('claims-review-title').textContent = `📥 Claims for "${item.itemName}"`;
+    hint.textContent = '';
+    list.innerHTML = '<p class="loan-empty">Loading claims...</p>';
+    claimsReviewDialog.style.display = 'flex';
+
+    getHiddenDetail(itemId)
+        .then((detail) => {
+            const question = item.verificationQuestion ? `Your question: ${item.verificationQuestion}` : '';
+            const secret = detail ? `Your hidden detail: ${detail}` : '';
+            hint.textContent = [question, secret].filter(Boolean).join(' · ');
+        })
+        .catch(err => console.error("Hidden Detail Error:", err));
+
+    if (stopClaimsReview) stopClaimsReview();
+    stopClaimsReview = subscribeToClaims(itemId, (claims) => {
+        const current = feedItems.get(itemId) || item;
+        if (current.claimedBy && claims.some(claim => claim.status === CLAIM_STATUS.PENDING && claim.id !== current.claimedBy)) {
+            declineLateClaims(itemId, current.claimedBy).catch(err => console.error("Late Claims Error:", err));
+        }
+        list.innerHTML = '';
+        if (claims.length === 0) {
+            list.innerHTML = '<p class="loan-empty">No one has claimed this item yet.</p>';
+        }
+        claims.forEach((claim) => {
+            const row = document.createElement('div');
+            row.className = `match-row claim-row claim-${claim.status}`;
+            row.innerHTML = `
+                <div class="match-info">
+                    <strong class="match-title"></strong>
+                    <small class="claim-answer"></small>
+                    <small class="match-desc"></small>
+                </div>
+                <div class="match-actions">
+                    ${claim.status === CLAIM_STATUS.PENDING && !current.claimedBy ? `
+                        <button class="btn-primary" onclick="decideClaim('${itemId}', '${claim.id}', true)">✅ Approve</button>
+                        <button class="btn-secondary" onclick="decideClaim('${itemId}', '${claim.id}', false)">Reject</button>
+                    ` : `<small class="claim-state claim-${claim.status}">${claim.status}</small>`}
+                </div>
+            `;
+            row.querySelector('.match-title').textContent = claim.claimantEmail.split('@')[0];
+            row.querySelector('.claim-answer').textContent = `Answer: ${claim.answer}`;
+            row.querySelector('.match-desc').textContent = claim.details;
+            list.appendChild(row);
+        });
+    });
+};
+
+window.decideClaim = async (itemId, claimantId, approve) => {
+    const item = feedItems.get(itemId);
+    if (!item) return;
+    if (approve && !confirm("Approve this claim? Every other pending claim will be declined.")) return;
+    try {
+        if (approve) {
+            await approveClaim(itemId, item, claimantId);
+        } else {
+            await rejectClaim(itemId, item, claimantId);
+        }
+    } catch (err) {
+        console.error("Claim Decision Error:", err);
+        alert(err.code === 'claim/not-allowed' ? err.message : "❌ Couldn't update this claim.");
     }
+};
+
+const closeClaimsReview = () => {
+    if (stopClaimsReview) stopClaimsReview();
+    stopClaimsReview = null;
+    claimsReviewDialog.style.display = 'none';
+};
+
+if (claimsReviewDialog) {
+    document.getElementById('claims-review-close').onclick = closeClaimsReview;
+    claimsReviewDialog.addEventListener('click', (e) => { if (e.target === claimsReviewDialog) closeClaimsReview(); });
 }
-if (chatDrawer) dragElement(chatDrawer);
 
+/**
+ * --- 6. UTILITY & EVENT HANDLERS ---
+ */
+// Found items go back to the approved claimant; lost items just close
 window.markAsReturned = async (id) => {
-    if (confirm("Has this item been successfully returned?")) {
-        await db.collection("lost_found_items").doc(id).update({ status: 'returned' });
+    const item = feedItems.get(id);
+    if (!item) return;
+    if (item.status === IN_CUSTODY) {
+        alert(`This item is at ${item.custody?.officeName || 'a security desk'}. The desk records the pickup when its owner collects it.`);
+        return;
+    }
+    if (item.status === 'found' && !item.claimedBy) {
+        alert("Approve the owner's claim first, so we know who got it back.");
+        return;
+    }
+    const question = item.claimedBy
+        ? `Has this item been handed to ${item.claimedByEmail.split('@')[0]}?`
+        : "Has this item been successfully returned?";
+    if (!confirm(question)) return;
+    try {
+        await markClaimReturned(id, item);
+    } catch (err) {
+        console.error("Return Error:", err);
+        alert(err.code === 'claim/not-allowed' ? err.message : "❌ Couldn't update this report.");
     }
 };
 
+window.reportPost = (id) => {
+    const item = feedItems.get(id);
+    if (item) promptForPostReport('lost-found', id, item);
+};
+
 window.removeReport = async (id) => {
     if (confirm("Delete this report?")) await db.collection("lost_found_items").doc(id).delete();
 };
 
-window.closeChat = () => { if (chatDrawer) chatDrawer.style.display = 'none'; };
+// Server-side filters restart the feed; the rest only re-render what's loaded
+function updateFeedFilters(changes) {
+    const needsNewQuery = ['status', 'category', 'mine'].some(key => key in changes && changes[key] !== feedFilters[key]);
+    feedFilters = { ...feedFilters, ...changes };
+    if (needsNewQuery) initializeFeed();
+    else renderFeed();
+}
 
-if (filterType) filterType.addEventListener('change', initializeFeed);
-if (searchInput) searchInput.addEventListener('input', initializeFeed);
+let searchTimer = null;
+if (searchInput) {
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => updateFeedFilters({ q: searchInput.value.toLowerCase().trim() }), 250);
+    });
+}
+if (filterType) filterType.addEventListener('change', () => updateFeedFilters({ status: filterType.value }));
+if (filterCategory) filterCategory.addEventListener('change', () => updateFeedFilters({ category: filterCategory.value }));
+if (filterLandmark) filterLandmark.addEventListener('change', renderFeed);
+if (filterDays) filterDays.addEventListener('change', renderFeed);
+if (myReportsBtn) {
+    myReportsBtn.onclick = () => {
+        const mine = !feedFilters.mine;
+        myReportsBtn.classList.toggle('active', mine);
+        myReportsBtn.textContent = mine ? '📋 All Reports' : '👤 My Reports';
+        if (boardTitle) boardTitle.textContent = mine ? '👤 My Reports' : '📋 Recent Reports';
+        if (itemsView.style.display === 'none') backBtn.click();
+        updateFeedFilters({ mine });
+    };
+}
 if (inboxToggle) {
     inboxToggle.onclick = (e) => { e.stopPropagation(); inboxMenu.classList.toggle('show'); };
 }
@@ -334,22 +771,35 @@ auth.onAuthStateChanged((user) => {
     if (user) {
         initializeFeed();
         loadHeaderInbox();
+        subscribeToLandmarks((list) => {
+            landmarks = list;
+            fillLandmarkSelects();
+        });
+
+        // Notifications link here with ?matches=<itemId> to open that report's matches
+        const openMatchesFor = new URLSearchParams(window.location.search).get('matches');
+        let openedFromLink = false;
+        subscribeToMyMatches((matches) => {
+            myMatches = matches;
+            fillMatchSlots();
+            if (openMatchesFor && !openedFromLink) {
+                openedFromLink = true;
+                window.showItemMatches(openMatchesFor);
+            }
+        });
+
+        subscribeToClaimsOnMyFinds((counts) => {
+            pendingClaimCounts = counts;
+            fillClaimSlots();
+        });
+        subscribeToMyClaims((statuses) => {
+            myClaimStatuses = statuses;
+            fillClaimSlots();
+        });
     }
 });
 
 if (logoutBtn) {
     logoutBtn.onclick = () => auth.signOut().then(() => window.location.href = "index.html");
 }
-
-if (sendMsgBtn) sendMsgBtn.onclick = sendMessage;
-
-// --- ALLOW ENTER KEY TO SEND ---
-if (chatInput) {
-    chatInput.addEventListener('keydown', (e) => {
-        // Check if the key pressed is Enter (key code 13)
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault(); // Prevents a new line from being added
-            sendMessage();      // Calls your existing send function
-        }
-    });
-} 
\ No newline at end of file
+ 
\ No newline at end of file
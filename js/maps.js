@@ -1,4 +1,5 @@
 import { db } from './firebase-config.js';
+import { GEOAPIFY_KEY, CAMPUS_CENTER, addCampusTiles } from './campus-map.js';
 
 /**
  * --- NETWORK PROTOCOL FIX ---
@@ -9,16 +10,8 @@ db.settings({
     merge: true 
 });
 
-const GEOAPIFY_KEY = "3a400c98f0124335b78d250e97eb82d6"; 
-const CAMPUS_CENTER = [23.814, 86.441]; 
-
 const map = L.map('map').setView(CAMPUS_CENTER, 17);
-
-// Using the exact Key from your dashboard
-L.tileLayer(`https://maps.geoapify.com/v1/tile/osm-carto/{z}/{x}/{y}.png?apiKey=${GEOAPIFY_KEY}`, {
-    attribution: 'Powered by Geoapify',
-    maxZoom: 20
-}).addTo(map);
+addCampusTiles(map);
 
 let userMarker, routingLayer, destinationMarker;
 
@@ -86,4 +79,12 @@ function loadLocations() {
     });
 }
 
-loadLocations();
\ No newline at end of file
+loadLocations();
+
+// Other pages link here with ?lat=&lng=&name= (e.g. a Lost & Found pin) to route straight to a spot
+const target = new URLSearchParams(window.location.search);
+if (target.has('lat') && target.has('lng')) {
+    const lat = parseFloat(target.get('lat'));
+    const lng = parseFloat(target.get('lng'));
+    if (!isNaN(lat) && !isNaN(lng)) window.startRouting(lat, lng, target.get('name') || 'Pinned spot');
+}
\ No newline at end of file
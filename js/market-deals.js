@@ -0,0 +1,358 @@
+/**
+ * CAMPUS UTILITIES HUB - MARKETPLACE DEALS
+ * The item card pinned to the top of a marketplace chat, plus the actions
+ * that close a deal without leaving the conversation:
+ * - Buyers make formal offers; whoever receives an offer can accept,
+ *   decline or counter it. Accepting reserves the item for the buyer and
+ *   declines the item's other open offers.
+ * - Reservations are holds that lapse after HOLD_HOURS, after which the
+ *   listing counts as available again.
+ * - Sellers can also reserve manually, or mark the item sold to this buyer
+ *   (the buyer and agreed price are recorded on the listing).
+ * - Once sold, both sides are invited to review each other (reputation.js).
+ *
+ * Offers are stored in marketplace_items/{itemId}/offers/{offerId}; the
+ * offer card in the chat mirrors each one's status.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+import { sendOffer, setOfferStatus } from './messaging.js';
+import { thumbnailUrl } from './uploads.js';
+import { canReview, hasReviewed, promptForReview } from './reputation.js';
+import { isLendListing, describeRate } from './loans.js';
+
+export const LISTING_STATUS = {
+    AVAILABLE: 'available',
+    RESERVED: 'reserved',
+    SOLD: 'sold',
+    LENT: 'lent' // Lend listings while a loan runs, see loans.js
+};
+
+export const OFFER_STATUS = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined',
+    COUNTERED: 'countered',
+    WITHDRAWN: 'withdrawn'
+};
+
+// How long a reservation holds the item before it's released
+export const HOLD_HOURS = 48;
+
+const itemRef = (itemId) => db.collection("marketplace_items").doc(itemId);
+const offersRef = (itemId) => itemRef(itemId).collection("offers");
+
+const clearedReservation = () => ({
+    reservedFor: firebase.firestore.FieldValue.delete(),
+    reservedForEmail: firebase.firestore.FieldValue.delete(),
+    reservedAt: firebase.firestore.FieldValue.delete(),
+    reservedUntil: firebase.firestore.FieldValue.delete()
+});
+
+function dealError(message) {
+    const err = new Error(message);
+    err.code = 'deal/unavailable';
+    return err;
+}
+
+/**
+ * --- 1. HOLDS ---
+ * A lapsed hold isn't written back by a server, so readers treat it as
+ * available; the seller's own pages tidy it up with releaseReservation().
+ */
+export function isHoldExpired(item) {
+    return item.status === LISTING_STATUS.RESERVED
+        && !!item.reservedUntil?.toMillis
+        && item.reservedUntil.toMillis() <= Date.now();
+}
+
+// The status buyers should see, with lapsed holds counted as available
+export function effectiveStatus(item) {
+    return isHoldExpired(item) ? LISTING_STATUS.AVAILABLE : item.status;
+}
+
+function holdFields(buyer, extra = {}) {
+    return {
+        status: LISTING_STATUS.RESERVED,
+        reservedFor: buyer.uid,
+        reservedForEmail: buyer.email,
+        reservedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        reservedUntil: firebase.firestore.Timestamp.fromMillis(Date.now() + HOLD_HOURS * 60 * 60 * 1000),
+        ...extra
+    };
+}
+
+/**
+ * --- 2. LISTING UPDATES ---
+ * Only the seller calls these; the buyer is the other person in the chat.
+ */
+export async function reserveForBuyer(itemId, buyer) {
+    await itemRef(itemId).update(holdFields(buyer));
+}
+
+export async function releaseReservation(itemId) {
+    await itemRef(itemId).update({
+        status: LISTING_STATUS.AVAILABLE,
+        agreedPrice: firebase.firestore.FieldValue.delete(),
+        acceptedOfferId: firebase.firestore.FieldValue.delete(),
+        ...clearedReservation()
+    });
+}
+
+/**
+ * Records the buyer on the listing. Fails if the item is held for someone
+ * else. The agreed price only carries over when the accepted offer was this
+ * buyer's; otherwise it belonged to another deal and is cleared.
+ */
+export async function markSoldTo(itemId, buyer) {
+    await db.runTransaction(async (tx) => {
+        const snap = await tx.get(itemRef(itemId));
+        if (!snap.exists) throw dealError("This listing has been removed.");
+        const item = snap.data();
+        const status = effectiveStatus(item);
+        if (status === LISTING_STATUS.SOLD) throw dealError("This item has already been sold.");
+        if (status === LISTING_STATUS.RESERVED && item.reservedFor !== buyer.uid) {
+            throw dealError("This item is reserved for another buyer. Release it first.");
+        }
+
+        const sameDeal = item.reservedFor === buyer.uid;
+        tx.update(itemRef(itemId), {
+            status: LISTING_STATUS.SOLD,
+            buyerId: buyer.uid,
+            buyerEmail: buyer.email,
+            soldAt: firebase.firestore.FieldValue.serverTimestamp(),
+            ...(sameDeal ? {} : {
+                agreedPrice: firebase.firestore.FieldValue.delete(),
+                acceptedOfferId: firebase.firestore.FieldValue.delete()
+            }),
+            ...clearedReservation()
+        });
+    });
+}
+
+/**
+ * --- 3. OFFERS ---
+ * An offer always goes from one side of the chat to the other. The buyer
+ * is stored separately from the sender so a seller's counter-offer still
+ * knows who would be buying.
+ */
+function offerFields({ chatId, item, amount, to, counterOf }) {
+    const me = auth.currentUser;
+    const isSeller = item.sellerId === me.uid;
+    const buyer = isSeller ? to : { uid: me.uid, email: me.email };
+    return {
+        chatId,
+        amount,
+        fromId: me.uid,
+        toId: to.uid,
+        buyerId: buyer.uid,
+        buyerEmail: buyer.email,
+        status: OFFER_STATUS.PENDING,
+        counterOf,
+        messageId: null,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+// The offer card in the chat is sent once the offer doc exists
+async function postOffer(offerDoc, { chatId, itemId, item, amount, counterOf }) {
+    const messageId = await sendOffer(chatId, {
+        offerId: offerDoc.id,
+        kind: counterOf ? 'counter' : 'offer',
+        itemId,
+        itemName: item.itemName,
+        amount,
+        listPrice: item.price
+    });
+    await offerDoc.update({ messageId });
+}
+
+export async function makeOffer({ chatId, itemId, item, amount, to, counterOf = null }) {
+    const offer = { chatId, itemId, item, amount, to, counterOf };
+    const offerDoc = offersRef(itemId).doc();
+    await offerDoc.set(offerFields(offer));
+    await postOffer(offerDoc, offer);
+}
+
+/**
+ * Accept / decline / counter / withdraw. The recipient of a pending offer
+ * answers it; the sender can only withdraw. All in one transaction:
+ * - Accepting reserves the item for the buyer at the offered price, fails
+ *   if someone else already holds it, and declines every other pending
+ *   offer on the item.
+ * - Countering closes the offer and creates the counter-offer together, so
+ *   there's never a closed offer without its counter.
+ * Transactions can't run queries, so the other pending offers are fetched
+ * inside the callback and re-read through the transaction.
+ */
+export async function respondToOffer(itemId, offerId, action, counterAmount = null) {
+    const me = auth.currentUser.uid;
+    const offerRef = offersRef(itemId).doc(offerId);
+    const counterDoc = action === OFFER_STATUS.COUNTERED ? offersRef(itemId).doc() : null;
+    let offer = null;
+    let item = null;
+    let counter = null;
+    let closedOffers = [];
+
+    await db.runTransaction(async (tx) => {
+        const [offerSnap, itemSnap] = await Promise.all([tx.get(offerRef), tx.get(itemRef(itemId))]);
+        if (!offerSnap.exists || !itemSnap.exists) throw dealError("This offer is no longer available.");
+        offer = offerSnap.data();
+        item = itemSnap.data();
+        closedOffers = [];
+
+        if (offer.status !== OFFER_STATUS.PENDING) throw dealError("This offer has already been answered.");
+        const allowed = action === OFFER_STATUS.WITHDRAWN ? offer.fromId === me : offer.toId === me;
+        if (!allowed) throw dealError("You can't respond to this offer.");
+        const respondedAt = firebase.firestore.FieldValue.serverTimestamp();
+
+        if (action === OFFER_STATUS.ACCEPTED) {
+            const status = effectiveStatus(item);
+            const heldForSomeoneElse = status === LISTING_STATUS.RESERVED && item.reservedFor !== offer.buyerId;
+            if (status === LISTING_STATUS.SOLD || heldForSomeoneElse) throw dealError("This item is no longer available.");
+
+            const pending = await offersRef(itemId).where("status", "==", OFFER_STATUS.PENDING).get();
+            const others = await Promise.all(pending.docs.filter(doc => doc.id !== offerId).map(doc => tx.get(doc.ref)));
+            closedOffers = others.filter(snap => snap.exists && snap.data().status === OFFER_STATUS.PENDING);
+            closedOffers.forEach(snap => tx.update(snap.ref, { status: OFFER_STATUS.DECLINED, respondedAt }));
+
+            tx.update(itemRef(itemId), holdFields(
+                { uid: offer.buyerId, email: offer.buyerEmail },
+                { agreedPrice: offer.amount, acceptedOfferId: offerId }
+            ));
+        }
+        if (counterDoc) {
+            counter = {
+                chatId: offer.chatId,
+                itemId,
+                item,
+                amount: counterAmount,
+                to: { uid: offer.fromId, email: offer.fromId === offer.buyerId ? offer.buyerEmail : item.sellerEmail },
+                counterOf: offerId
+            };
+            tx.set(counterDoc, offerFields(counter));
+        }
+        tx.update(offerRef, { status: action, respondedAt });
+    });
+
+    const cards = [{ ...offer, status: action }, ...closedOffers.map(snap => ({ ...snap.data(), status: OFFER_STATUS.DECLINED }))];
+    await Promise.all(cards
+        .filter(card => card.messageId)
+        .map(card => setOfferStatus(card.chatId, card.messageId, card.status).catch(err => console.error("Offer Status Error:", err))));
+    if (counter) await postOffer(counterDoc, counter);
+}
+
+/**
+ * --- 4. PINNED ITEM CARD ---
+ * Keeps the card live while the chat is open, so a reservation or sale is
+ * visible to both sides immediately. 'other' is the person on the far end
+ * of the chat ({ uid, email }). Returns the unsubscribe function.
+ */
+function statusLabel(item, me) {
+    if (item.status === LISTING_STATUS.LENT) {
+        const until = item.lentUntil?.toDate ? ` until ${item.lentUntil.toDate().toLocaleDateString()}` : '';
+        return item.lentTo === me ? `🔁 On loan to you${until}` : `🔁 On loan${until}`;
+    }
+    if (item.status === LISTING_STATUS.SOLD) {
+        return item.buyerId === me ? '✅ Sold to you' : '✅ Sold';
+    }
+    if (effectiveStatus(item) === LISTING_STATUS.RESERVED) {
+        const until = item.reservedUntil?.toDate ? ` until ${item.reservedUntil.toDate().toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}` : '';
+        const price = item.agreedPrice ? ` at ₹${item.agreedPrice}` : '';
+        if (item.reservedFor === me) return `📌 Reserved for you${price}${until}`;
+        return item.sellerId === me ? `📌 Reserved for ${(item.reservedForEmail || '').split('@')[0]}${price}${until}` : '📌 Reserved';
+    }
+    return '🟢 Available';
+}
+
+export function mountDealCard(container, { chatId, itemId, other }) {
+    if (!container || !itemId) return () => {};
+    container.style.display = 'none';
+
+    return itemRef(itemId).onSnapshot((doc) => {
+        if (!doc.exists) {
+            container.style.display = 'block';
+            container.innerHTML = '<p class="deal-card-missing">This listing has been removed.</p>';
+            return;
+        }
+
+        const item = doc.data();
+        const me = auth.currentUser.uid;
+        const isSeller = item.sellerId === me;
+        const status = effectiveStatus(item);
+        // Lend listings are arranged through borrow requests, not offers
+        const isLoan = isLendListing(item);
+        const isOpen = status !== LISTING_STATUS.SOLD && !isLoan;
+        const heldForThisBuyer = status === LISTING_STATUS.RESERVED && item.reservedFor === other?.uid;
+
+        // Lapsed holds are cleared by the seller's client
+        if (isSeller && isHoldExpired(item)) releaseReservation(itemId).catch(err => console.error("Hold Release Error:", err));
+
+        container.style.display = 'block';
+        container.innerHTML = `
+            <div class="deal-card">
+                <img src="${thumbnailUrl(item.imageUrl, 120) || 'placeholder.jpg'}" alt="">
+                <div class="deal-card-info">
+                    <strong class="deal-card-name"></strong>
+                    <span class="deal-card-price">${isLoan ? describeRate(item.price) : `₹${item.price}`}</span>
+                    <small class="deal-card-status status-${status}">${statusLabel(item, me)}</small>
+                </div>
+            </div>
+            <div class="deal-card-actions">
+                ${isOpen && !isSeller && other ? '<button class="deal-offer-btn">💸 Make an offer</button>' : ''}
+                ${isSeller && other && !isLoan && status === LISTING_STATUS.AVAILABLE ? '<button class="deal-reserve-btn">📌 Reserve</button>' : ''}
+                ${isSeller && heldForThisBuyer ? '<button class="deal-release-btn">↩️ Release</button>' : ''}
+                ${isSeller && other && isOpen && (status === LISTING_STATUS.AVAILABLE || heldForThisBuyer) ? '<button class="deal-sold-btn">✅ Sold to buyer</button>' : ''}
+                <button class="deal-review-btn" style="display:none;">⭐ Leave a review</button>
+            </div>
+        `;
+        container.querySelector('.deal-card-name').textContent = item.itemName;
+
+        const bind = (selector, handler) => {
+            const btn = container.querySelector(selector);
+            if (!btn) return;
+            btn.onclick = async () => {
+                btn.disabled = true;
+                try {
+                    await handler();
+                } catch (err) {
+                    console.error("Deal Action Error:", err);
+                    alert(['chat/blocked', 'deal/unavailable', 'review/not-allowed'].includes(err.code) ? err.message : "❌ That didn't work. Please try again.");
+                } finally {
+                    btn.disabled = false;
+                }
+            };
+        };
+
+        const buyerName = other ? other.email.split('@')[0] : '';
+        bind('.deal-offer-btn', async () => {
+            const input = prompt(`Your offer for "${item.itemName}" (listed at ₹${item.price}):`);
+            if (input === null) return;
+            const amount = parseFloat(input);
+            if (!(amount > 0)) {
+                alert("Please enter a valid amount.");
+                return;
+            }
+            await makeOffer({ chatId, itemId, item, amount, to: other });
+        });
+        bind('.deal-reserve-btn', async () => {
+            if (!confirm(`Reserve "${item.itemName}" for ${buyerName} for ${HOLD_HOURS} hours? Other buyers will see it as reserved.`)) return;
+            await reserveForBuyer(itemId, other);
+        });
+        bind('.deal-release-btn', () => releaseReservation(itemId));
+        bind('.deal-sold-btn', async () => {
+            if (!confirm(`Mark "${item.itemName}" as sold to ${buyerName}?`)) return;
+            await markSoldTo(itemId, other);
+        });
+        bind('.deal-review-btn', async () => {
+            if (await promptForReview(itemId, item)) container.querySelector('.deal-review-btn').style.display = 'none';
+        });
+
+        // The review button only appears once the sale is done and until it's used
+        if (canReview(item, me)) {
+            const reviewBtn = container.querySelector('.deal-review-btn');
+            hasReviewed(itemId)
+                .then((done) => { if (!done) reviewBtn.style.display = 'inline-block'; })
+                .catch(err => console.error("Review Check Error:", err));
+        }
+    }, (err) => console.error("Deal Card Error:", err));
+}
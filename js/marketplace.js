@@ -2,28 +2,69 @@
  * CAMPUS UTILITIES HUB - MARKETPLACE MODULE
  * This module enables a peer-to-peer student economy. 
  * Key features include:
- * 1. Cloudinary-powered image uploads for listings.
- * 2. Real-time product catalog with 'Sold' status management.
+ * 1. Cloudinary-powered multi-photo uploads for listings, with a lightbox.
+ * 2. Real-time product catalog with 'Reserved' / 'Sold' status management.
  * 3. Integrated Chat System for secure buyer-seller negotiations.
+ * 4. Keyword, category and price filters with sorting, mirrored in the URL
+ *    so a search can be shared as a link.
+ * 5. A "My Listings" view where sellers edit, renew or delete their items.
+ * 6. Seller ratings and completed sales on every card, from post-sale reviews.
+ * 7. "Wanted" posts from buyers, and saved searches that alert the student
+ *    when a new listing matches.
+ * 8. Lend/rent listings with borrow requests, a Loans view and overdue
+ *    reminders.
  */
 
 import { auth, db } from './firebase-config.js';
+import { CHAT_TYPES } from './messaging.js';
+import { startThread, loadHeaderInbox } from './chat-drawer.js';
+import { thumbnailUrl } from './uploads.js';
+import { createPhotoPicker, listingPhotos } from './photo-picker.js';
+import { openLightbox } from './lightbox.js';
+import { createPagedFeed } from './paged-feed.js';
+import { LISTING_STATUS, effectiveStatus, markSoldTo } from './market-deals.js';
+import { fillReputationBadges, promptForReview } from './reputation.js';
+import { promptForPostReport } from './safety.js';
+import { createWantedPost, markWantedFound, deleteWantedPost, subscribeToWanted } from './wanted-posts.js';
+import { isEmptySearch, saveSearch, deleteSavedSearch, subscribeToSavedSearches, watchForMatches } from './saved-searches.js';
+import {
+    LISTING_TYPES, LOAN_STATUS, MAX_LOAN_DAYS, isLendListing, describeRate, startOfDay, endOfDay, loanDays, loanCost,
+    dueDate, isOverdue, isDueSoon, daysOverdue, hasStarted, conflictingBooking, requestLoan, respondToLoan, markReturned,
+    cancelBooking, canRemind, sendReminder, overdueAlertsFor, startDueLoans, subscribeToLoans
+} from './loans.js';
+import {
+    listingLifetimeDays, loadListingSettings, expireStaleListings, newExpiry, isExpired, daysLeft, renewListing, updateListing,
+    deleteListing, previousHigherPrice, subscribeToMyListings
+} from './listing-lifecycle.js';
 
 // --- 1. DOM ELEMENT SELECTORS ---
 const marketForm = document.getElementById('marketplace-form');
 const marketContainer = document.getElementById('market-container');
+const marketSentinel = document.getElementById('market-sentinel');
 const listingStatus = document.getElementById('listing-status');
-const chatDrawer = document.getElementById('chat-drawer');
-const chatMessages = document.getElementById('chat-messages');
-const chatInput = document.getElementById('chat-input');
-const sendMsgBtn = document.getElementById('send-msg-btn');
-const inboxContainer = document.getElementById('inbox-container');
+const photoPicker = createPhotoPicker(document.getElementById('prod-image'), document.getElementById('prod-photo-strip'));
 
 // View Control Selectors
 const galleryView = document.getElementById('gallery-view');
 const addItemView = document.getElementById('add-item-view');
+const myListingsView = document.getElementById('my-listings-view');
+const myListingsContainer = document.getElementById('my-listings-container');
 const toggleAddBtn = document.getElementById('toggle-add-item');
+const myListingsBtn = document.getElementById('toggle-my-listings');
+const wantedView = document.getElementById('wanted-view');
+const wantedContainer = document.getElementById('wanted-container');
+const wantedBtn = document.getElementById('toggle-wanted');
+const wantedForm = document.getElementById('wanted-form');
+const loansView = document.getElementById('loans-view');
+const loansBtn = document.getElementById('toggle-loans');
+const loanCountBadge = document.getElementById('loan-count');
+const loansLentBox = document.getElementById('loans-lent');
+const loansBorrowedBox = document.getElementById('loans-borrowed');
+const listingTypeSelect = document.getElementById('prod-listing-type');
+const priceLabel = document.getElementById('prod-price-label');
+const borrowDialog = document.getElementById('borrow-dialog');
 const backBtn = document.getElementById('back-to-gallery');
+const formTitle = document.getElementById('listing-form-title');
 
 // Header UI Components
 const inboxToggle = document.getElementById('inbox-toggle');
@@ -31,14 +72,51 @@ const inboxMenu = document.getElementById('inbox-menu');
 const hideSoldToggle = document.getElementById('hide-sold-toggle');
 const logoutBtn = document.getElementById('logout-button');
 
+// Filter Bar
+const searchInput = document.getElementById('market-search');
+const categoryFilter = document.getElementById('filter-category');
+const minPriceInput = document.getElementById('filter-min-price');
+const maxPriceInput = document.getElementById('filter-max-price');
+const sortSelect = document.getElementById('market-sort');
+const listingTypeFilter = document.getElementById('filter-listing-type');
+const saveSearchBtn = document.getElementById('save-search-btn');
+const savedSearchesBox = document.getElementById('saved-searches');
+const alertsBox = document.getElementById('market-alerts');
+
 // --- 2. CONFIGURATION & STATE ---
-let currentActiveChatId = null; 
-let currentChatListener = null;
-let hideSold = false;
+// Listing categories; the <select> options in marketplace.html use the same keys
+const MARKET_CATEGORIES = {
+    books: '📚 Books',
+    electronics: '💻 Electronics',
+    cycles: '🚲 Cycles',
+    hostel: '🛏️ Hostel Gear',
+    clothing: '👕 Clothing',
+    stationery: '✏️ Stationery',
+    sports: '🏸 Sports',
+    other: '📦 Other'
+};
+
+// Sort options map straight onto Firestore orderBy clauses
+const SORT_ORDERS = {
+    newest: ['createdAt', 'desc'],
+    oldest: ['createdAt', 'asc'],
+    'price-asc': ['price', 'asc'],
+    'price-desc': ['price', 'desc']
+};
 
-// Cloudinary credentials for hosting student product photos
-const CLOUD_NAME = "di1jmmord";
-const UPLOAD_PRESET = "CampusUtilityHub";
+let filters = readFiltersFromUrl();
+let marketFeed = null; // The one live gallery subscription
+let feedState = { hasMore: false, loading: true };
+let loadedItems = []; // Every listing in the pages loaded so far, in display order
+const renderedCards = new Map(); // itemId -> { card, signature }
+let myListings = [];
+let myListingsUnsubscribe = null;
+let editingItem = null; // Set while the form is editing an existing listing
+let wantedPosts = [];
+let wantedUnsubscribe = null;
+let loansUnsubscribe = null;
+let currentLoans = { lent: [], borrowed: [] };
+let borrowingItem = null; // The lend listing the borrow dialog is open for
 
 /**
  * --- 3. SESSION & PERMISSION MONITOR ---
@@ -47,7 +125,14 @@ const UPLOAD_PRESET = "CampusUtilityHub";
  */
 firebase.auth().onAuthStateChanged(async (user) => {
     if (user) {
-        loadInbox();
+        loadHeaderInbox();
+        subscribeToMarket(); // Started here so "Mark as Sold" buttons know who the owner is
+        subscribeToSavedSearches(renderSavedSearches);
+        watchForMatches(showMatchAlert);
+        showLoanReminders();
+        // Every visit tidies up the seller's own stale listings, since there's no server job for it
+        expireStaleListings().catch(err => console.error("Listing Expiry Error:", err));
+        startDueLoans().catch(err => console.error("Loan Start Error:", err));
         try {
             const userDoc = await db.collection("users").doc(user.uid).get();
             if (userDoc.exists && userDoc.data().role === 'admin') {
@@ -74,8 +159,9 @@ if (logoutBtn) {
 
 /**
  * --- 4. NAVIGATION LOGIC ---
- * Using a clean toggle system to swap between the "Market Gallery" and 
- * the "Post New Item" form without refreshing the page.
+ * Using a clean toggle system to swap between the "Market Gallery", the
+ * "Post New Item" form, "Wanted", "Loans" and "My Listings" without
+ * refreshing the page.
  */
 if (inboxToggle) {
     inboxToggle.onclick = (e) => {
@@ -85,26 +171,98 @@ if (inboxToggle) {
 }
 window.onclick = () => { if (inboxMenu) inboxMenu.classList.remove('show'); };
 
-if (toggleAddBtn) {
-    toggleAddBtn.addEventListener('click', () => {
-        galleryView.style.display = 'none';
-        addItemView.style.display = 'block';
-        toggleAddBtn.style.display = 'none';
-    });
+function showView(name) {
+    galleryView.style.display = name === 'gallery' ? 'block' : 'none';
+    addItemView.style.display = name === 'form' ? 'block' : 'none';
+    if (myListingsView) myListingsView.style.display = name === 'mine' ? 'block' : 'none';
+    if (wantedView) wantedView.style.display = name === 'wanted' ? 'block' : 'none';
+    toggleAddBtn.style.display = name === 'form' ? 'none' : 'inline-block';
+    if (myListingsBtn) myListingsBtn.style.display = name === 'mine' ? 'none' : 'inline-block';
+    if (wantedBtn) wantedBtn.style.display = name === 'wanted' ? 'none' : 'inline-block';
+    if (loansView) loansView.style.display = name === 'loans' ? 'block' : 'none';
+    if (loansBtn) loansBtn.style.display = name === 'loans' ? 'none' : 'inline-block';
+
+    // My Listings is only streamed while it's on screen
+    if (name === 'mine' && !myListingsUnsubscribe) {
+        myListingsUnsubscribe = subscribeToMyListings((items) => {
+            myListings = items;
+            renderMyListings();
+        });
+    } else if (name !== 'mine' && myListingsUnsubscribe) {
+        myListingsUnsubscribe();
+        myListingsUnsubscribe = null;
+    }
+
+    // Same for the Wanted board
+    if (name === 'wanted' && !wantedUnsubscribe) {
+        wantedUnsubscribe = subscribeToWanted(renderWanted);
+    } else if (name !== 'wanted' && wantedUnsubscribe) {
+        wantedUnsubscribe();
+        wantedUnsubscribe = null;
+    }
+
+    // And for Loans
+    if (name === 'loans' && !loansUnsubscribe) {
+        loansUnsubscribe = subscribeToLoans(renderLoans);
+    } else if (name !== 'loans' && loansUnsubscribe) {
+        loansUnsubscribe();
+        loansUnsubscribe = null;
+    }
 }
 
+if (toggleAddBtn) toggleAddBtn.addEventListener('click', () => openListingForm(null));
+if (myListingsBtn) myListingsBtn.addEventListener('click', () => showView('mine'));
 if (backBtn) {
     backBtn.addEventListener('click', () => {
-        addItemView.style.display = 'none';
-        galleryView.style.display = 'block';
-        toggleAddBtn.style.display = 'inline-block';
+        const returnTo = editingItem ? 'mine' : 'gallery';
+        editingItem = null;
+        showView(returnTo);
     });
 }
+const backFromMineBtn = document.getElementById('back-from-my-listings');
+if (backFromMineBtn) backFromMineBtn.addEventListener('click', () => showView('gallery'));
+if (wantedBtn) wantedBtn.addEventListener('click', () => showView('wanted'));
+const backFromWantedBtn = document.getElementById('back-from-wanted');
+if (backFromWantedBtn) backFromWantedBtn.addEventListener('click', () => showView('gallery'));
+if (loansBtn) loansBtn.addEventListener('click', () => showView('loans'));
+const backFromLoansBtn = document.getElementById('back-from-loans');
+if (backFromLoansBtn) backFromLoansBtn.addEventListener('click', () => showView('gallery'));
+
+// Lend listings ask for a daily rate instead of a price
+function syncPriceLabel() {
+    const lending = listingTypeSelect && listingTypeSelect.value === LISTING_TYPES.LEND;
+    if (priceLabel) priceLabel.textContent = lending ? "Daily Rate (₹, 0 = free):" : "Price (₹):";
+}
+if (listingTypeSelect) listingTypeSelect.addEventListener('change', syncPriceLabel);
+
+// Opens the form empty for a new listing, or filled in for editing one
+function openListingForm(item) {
+    editingItem = item;
+    marketForm.reset();
+    if (listingStatus) listingStatus.textContent = "";
+    if (formTitle) formTitle.textContent = item ? "✏️ Edit Listing" : "➕ List a New Item";
+
+    if (item) {
+        document.getElementById('prod-name').value = item.itemName;
+        document.getElementById('prod-price').value = item.price;
+        document.getElementById('prod-desc').value = item.description;
+        document.getElementById('prod-category').value = MARKET_CATEGORIES[item.category] ? item.category : 'other';
+        if (listingTypeSelect) listingTypeSelect.value = isLendListing(item) ? LISTING_TYPES.LEND : LISTING_TYPES.SELL;
+        photoPicker.setExisting(listingPhotos(item));
+    } else {
+        photoPicker.reset();
+    }
+    syncPriceLabel();
+    showView('form');
+}
 
 /**
  * --- 5. ASYNC LISTING HANDLER ---
  * This function orchestrates the upload process. I chose Cloudinary for the
  * heavy lifting of image hosting to keep our Firestore database light.
+ * Photos are stored in 'images' (cover first); 'imageUrl' keeps the cover
+ * so anything that reads the old single-photo field still works.
+ * The same form saves edits when opened from My Listings.
  */
 if (marketForm) {
     marketForm.addEventListener('submit', async (e) => {
@@ -113,13 +271,11 @@ if (marketForm) {
         const nameEl = document.getElementById('prod-name');
         const priceEl = document.getElementById('prod-price');
         const descEl = document.getElementById('prod-desc');
-        const imageEl = document.getElementById('prod-image');
 
-        if (!nameEl || !priceEl || !descEl || !imageEl) return;
+        if (!nameEl || !priceEl || !descEl) return;
 
-        const imageFile = imageEl.files[0];
-        if (!imageFile) {
-            if (listingStatus) listingStatus.textContent = "⚠️ Please upload a product image.";
+        if (photoPicker.count() === 0) {
+            if (listingStatus) listingStatus.textContent = "⚠️ Please add at least one product photo.";
             return;
         }
 
@@ -128,37 +284,45 @@ if (marketForm) {
             if (submitBtn) submitBtn.disabled = true;
             if (listingStatus) listingStatus.textContent = "Processing upload... ☁️";
 
-            // Step 1: Uploading physical photo to the cloud
-            const formData = new FormData();
-            formData.append('file', imageFile);
-            formData.append('upload_preset', UPLOAD_PRESET);
-
-            const res = await fetch(`https://api.cloudinary.com/v1_1/${CLOUD_NAME}/image/upload`, {
-                method: 'POST',
-                body: formData
-            });
-            const cloudData = await res.json();
+            // Step 1: Uploading the photos to the cloud, in the order the seller arranged them
+            const images = await photoPicker.uploadAll();
 
             // Step 2: Saving the product metadata and image URL to Firestore
-            await db.collection("marketplace_items").add({
+            const categoryEl = document.getElementById('prod-category');
+            const details = {
                 itemName: nameEl.value,
                 price: parseFloat(priceEl.value),
                 description: descEl.value,
-                imageUrl: cloudData.secure_url, 
-                sellerEmail: auth.currentUser.email,
-                sellerId: auth.currentUser.uid,
-                status: 'available',
-                createdAt: firebase.firestore.FieldValue.serverTimestamp() 
-            });
+                category: categoryEl && MARKET_CATEGORIES[categoryEl.value] ? categoryEl.value : 'other',
+                listingType: listingTypeSelect && listingTypeSelect.value === LISTING_TYPES.LEND ? LISTING_TYPES.LEND : LISTING_TYPES.SELL,
+                images,
+                imageUrl: images[0]
+            };
+
+            const wasEditing = !!editingItem;
+            if (editingItem) {
+                await updateListing(editingItem, details);
+            } else {
+                await loadListingSettings(); // The expiry below uses the admin's lifetime setting
+                await db.collection("marketplace_items").add({
+                    ...details,
+                    sellerEmail: auth.currentUser.email,
+                    sellerId: auth.currentUser.uid,
+                    status: 'available',
+                    expiresAt: newExpiry(),
+                    createdAt: firebase.firestore.FieldValue.serverTimestamp() 
+                });
+            }
 
-            if (listingStatus) listingStatus.textContent = "✅ Listing posted successfully!";
+            if (listingStatus) listingStatus.textContent = wasEditing ? "✅ Listing updated!" : "✅ Listing posted successfully!";
             marketForm.reset();
+            photoPicker.reset();
+            syncPriceLabel();
+            editingItem = null;
 
-            // Redirect back to gallery automatically after success
+            // Redirect back automatically after success
             setTimeout(() => {
-                addItemView.style.display = 'none';
-                galleryView.style.display = 'block';
-                toggleAddBtn.style.display = 'inline-block';
+                showView(wasEditing ? 'mine' : 'gallery');
                 if (listingStatus) listingStatus.textContent = "";
             }, 1500);
 
@@ -172,228 +336,824 @@ if (marketForm) {
 }
 
 /**
- * --- 6. REAL-TIME MARKET GALLERY ---
+ * --- 6. SEARCH & FILTERS ---
+ * Filter state lives in the query string (?q=&cat=&min=&max=&type=&sort=&hideSold=1),
+ * so refreshing or sharing the link reproduces the same view.
+ * Sorting, category and "hide sold" run in Firestore and restart the feed;
+ * keyword, price and buy/borrow filters only re-filter the pages already loaded.
+ */
+function readFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const price = (key) => {
+        const value = parseFloat(params.get(key));
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    };
+    return {
+        q: params.get('q') || '',
+        category: MARKET_CATEGORIES[params.get('cat')] ? params.get('cat') : 'all',
+        min: price('min'),
+        max: price('max'),
+        type: Object.values(LISTING_TYPES).includes(params.get('type')) ? params.get('type') : 'all',
+        sort: SORT_ORDERS[params.get('sort')] ? params.get('sort') : 'newest',
+        hideSold: params.get('hideSold') === '1'
+    };
+}
+
+function writeFiltersToUrl() {
+    const params = new URLSearchParams();
+    if (filters.q) params.set('q', filters.q);
+    if (filters.category !== 'all') params.set('cat', filters.category);
+    if (filters.min !== null) params.set('min', filters.min);
+    if (filters.max !== null) params.set('max', filters.max);
+    if (filters.type !== 'all') params.set('type', filters.type);
+    if (filters.sort !== 'newest') params.set('sort', filters.sort);
+    if (filters.hideSold) params.set('hideSold', '1');
+
+    const query = params.toString();
+    history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+}
+
+// Puts the URL state into the filter bar on page load
+function syncFilterControls() {
+    if (searchInput) searchInput.value = filters.q;
+    if (categoryFilter) categoryFilter.value = filters.category;
+    if (minPriceInput) minPriceInput.value = filters.min ?? '';
+    if (maxPriceInput) maxPriceInput.value = filters.max ?? '';
+    if (listingTypeFilter) listingTypeFilter.value = filters.type;
+    if (sortSelect) sortSelect.value = filters.sort;
+    if (hideSoldToggle) hideSoldToggle.checked = filters.hideSold;
+}
+
+// Client-side part of the filtering; the rest is in buildMarketQuery()
+function matchesFilters(item) {
+    if (isExpired(item) || item.hidden) return false; // Hidden = taken down by a moderator
+    if (filters.min !== null && item.price < filters.min) return false;
+    if (filters.max !== null && item.price > filters.max) return false;
+    if (filters.type !== 'all' && (isLendListing(item) ? LISTING_TYPES.LEND : LISTING_TYPES.SELL) !== filters.type) return false;
+
+    const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+    const haystack = `${item.itemName || ''} ${item.description || ''}`.toLowerCase();
+    return words.every(word => haystack.includes(word));
+}
+
+const SERVER_FILTERS = ['sort', 'category', 'hideSold'];
+
+function updateFilters(changes) {
+    const needsNewQuery = SERVER_FILTERS.some(key => key in changes && changes[key] !== filters[key]);
+    filters = { ...filters, ...changes };
+    writeFiltersToUrl();
+    if (needsNewQuery) subscribeToMarket();
+    else renderMarketplace();
+}
+
+const readPrice = (input) => {
+    const value = parseFloat(input.value);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+let searchTimer = null;
+if (searchInput) {
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => updateFilters({ q: searchInput.value.trim() }), 250);
+    });
+}
+if (categoryFilter) categoryFilter.addEventListener('change', () => updateFilters({ category: categoryFilter.value }));
+if (minPriceInput) minPriceInput.addEventListener('change', () => updateFilters({ min: readPrice(minPriceInput) }));
+if (maxPriceInput) maxPriceInput.addEventListener('change', () => updateFilters({ max: readPrice(maxPriceInput) }));
+if (listingTypeFilter) listingTypeFilter.addEventListener('change', () => updateFilters({ type: listingTypeFilter.value }));
+if (sortSelect) sortSelect.addEventListener('change', () => updateFilters({ sort: sortSelect.value }));
+if (hideSoldToggle) hideSoldToggle.addEventListener('change', (e) => updateFilters({ hideSold: e.target.checked }));
+
+/**
+ * --- 7. REAL-TIME MARKET GALLERY ---
  * I used onSnapshot here so the catalog updates instantly when a peer 
- * posts a new item or marks one as sold. I also added a 'Hide Sold' toggle 
- * to improve the browsing experience.
+ * posts a new item or marks one as sold. There is only ever one feed: it is
+ * torn down and rebuilt when a server-side filter changes, and grows page by
+ * page as the student scrolls. Sold listings are excluded in the query
+ * itself when "Hide Sold" is on.
+ *
+ * Category + status + sort combinations need composite indexes; Firestore
+ * logs a console link to create each one the first time it's used.
+ * Listings posted before categories existed only appear under "All".
  */
-if (hideSoldToggle) {
-    hideSoldToggle.addEventListener('change', (e) => {
-        hideSold = e.target.checked;
-        renderMarketplace(); 
+function buildMarketQuery() {
+    let query = db.collection("marketplace_items");
+    if (filters.hideSold) query = query.where("status", "in", ['available', 'reserved', LISTING_STATUS.LENT]);
+    if (filters.category !== 'all') query = query.where("category", "==", filters.category);
+
+    const [field, direction] = SORT_ORDERS[filters.sort];
+    return query.orderBy(field, direction);
+}
+
+function subscribeToMarket() {
+    if (!marketContainer) return;
+    if (marketFeed) marketFeed.unsubscribe();
+
+    // A new query means a new list; drop the old cards
+    renderedCards.clear();
+    marketContainer.innerHTML = '';
+    loadedItems = [];
+
+    marketFeed = createPagedFeed(buildMarketQuery(), (items, state) => {
+        loadedItems = items;
+        feedState = state;
+        renderMarketplace();
     });
 }
 
+// Infinite scroll: fetch the next page when the sentinel below the grid comes into view
+function sentinelInView() {
+    if (!marketSentinel || galleryView.style.display === 'none') return false;
+    return marketSentinel.getBoundingClientRect().top < window.innerHeight + 200;
+}
+
+if (marketSentinel && 'IntersectionObserver' in window) {
+    new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting) && marketFeed) marketFeed.loadMore();
+    }, { rootMargin: '200px' }).observe(marketSentinel);
+}
+
+/**
+ * Incremental rendering: each listing keeps its card between snapshots.
+ * Cards are only rebuilt when the listing itself changed, and are moved
+ * (not recreated) when the order changes.
+ */
+function cardSignature(item) {
+    return JSON.stringify([item.itemName, item.price, item.description, item.category, effectiveStatus(item),
+        listingPhotos(item), item.sellerEmail, previousHigherPrice(item), auth.currentUser?.uid === item.sellerId,
+        item.listingType, item.lentUntil?.toMillis?.()]);
+}
+
 function renderMarketplace() {
     if (!marketContainer) return;
-    db.collection("marketplace_items")
-        .orderBy("createdAt", "desc")
-        .onSnapshot((snap) => {
-            marketContainer.innerHTML = ''; 
-            snap.forEach((doc) => {
-                const item = doc.data();
-                const isAvailable = item.status === 'available';
-                const isOwner = auth.currentUser && auth.currentUser.uid === item.sellerId;
-
-                // User Preference: Skip sold items if filter is active
-                if (hideSold && !isAvailable) return;
-
-                const card = document.createElement('div');
-                card.className = `item-card ${!isAvailable ? 'sold-out' : ''}`;
-                
-                // Visual UX: Gray out images of items already sold
-                card.innerHTML = `
-                    <img src="${item.imageUrl || 'placeholder.jpg'}" alt="${item.itemName}" loading="lazy" 
-                         style="${!isAvailable ? 'filter: grayscale(1); opacity: 0.6;' : ''}">
-                    <div class="item-info">
-                        <span class="price-tag" style="color: ${isAvailable ? '#28a745' : '#666'}; font-weight: bold;">
-                            ₹${item.price} ${!isAvailable ? '(SOLD)' : ''}
-                        </span>
-                        <h4>${item.itemName}</h4>
-                        <p>${item.description}</p>
-                        <small>Seller: ${item.sellerEmail}</small>
-                        
-                        <div class="card-actions" style="margin-top: 10px;">
-                            ${isOwner && isAvailable ? 
-                                `<button class="btn-sold" onclick="markAsSold('${doc.id}')" style="width:100%; background:#6c757d; color:white; border:none; padding:8px; border-radius:4px; cursor:pointer;">
-                                    Mark as Sold
-                                 </button>` : 
-                                isAvailable ? 
-                                `<button class="btn-primary" style="width:100%" 
-                                        onclick="openChat('${item.sellerId}', '${item.sellerEmail}', '${doc.id}')">
-                                    Chat with Seller
-                                </button>` : 
-                                `<button disabled class="btn-disabled" style="width:100%; background:#eee; cursor:not-allowed; border:1px solid #ddd; padding:8px;">
-                                    Item Sold
-                                </button>`
-                            }
-                        </div>
-                    </div>
-                `;
-                marketContainer.appendChild(card); 
-            });
-        });
+    const visible = loadedItems.filter(matchesFilters);
+    const visibleIds = new Set(visible.map(item => item.id));
+
+    renderedCards.forEach(({ card }, id) => {
+        if (!visibleIds.has(id)) {
+            card.remove();
+            renderedCards.delete(id);
+        }
+    });
+
+    let previous = null;
+    visible.forEach((item) => {
+        const signature = cardSignature(item);
+        let entry = renderedCards.get(item.id);
+        if (!entry || entry.signature !== signature) {
+            const card = buildItemCard(item);
+            if (entry) entry.card.replaceWith(card);
+            entry = { card, signature };
+            renderedCards.set(item.id, entry);
+        }
+
+        const expectedPosition = previous ? previous.nextSibling : marketContainer.firstChild;
+        if (entry.card !== expectedPosition) marketContainer.insertBefore(entry.card, expectedPosition);
+        previous = entry.card;
+    });
+
+    // Whatever is left after the cards is a stale status message
+    while (previous && previous.nextSibling) previous.nextSibling.remove();
+    if (!previous) marketContainer.innerHTML = '';
+
+    if (visible.length === 0 && !feedState.loading && !feedState.hasMore) {
+        marketContainer.innerHTML = `<p>${loadedItems.length === 0 ? 'No items listed yet.' : 'No items match your filters.'}</p>`;
+    }
+    if (marketSentinel) {
+        marketSentinel.textContent = feedState.loading ? 'Loading more items... ⏳' : '';
+    }
+
+    // Client-side filters can leave the screen short; keep paging until it fills
+    if (!feedState.loading && feedState.hasMore && sentinelInView()) marketFeed.loadMore();
+}
+
+function buildItemCard(item) {
+    const status = effectiveStatus(item); // Lapsed holds show as available again
+    const isAvailable = status === 'available';
+    const isReserved = status === 'reserved';
+    const isLent = status === LISTING_STATUS.LENT;
+    const isOwner = auth.currentUser && auth.currentUser.uid === item.sellerId;
+
+    const card = document.createElement('div');
+    const isOpen = isAvailable || isReserved || isLent;
+    card.className = `item-card ${!isOpen ? 'sold-out' : ''}`;
+    card.dataset.itemId = item.id;
+    
+    const photos = listingPhotos(item);
+    const wasPrice = previousHigherPrice(item);
+
+    // Visual UX: Gray out images of items already sold.
+    // Seller-written fields are filled in with textContent below, never through innerHTML
+    card.innerHTML = `
+        <div class="item-photo">
+            <img alt="" loading="lazy" 
+                 style="${!isOpen ? 'filter: grayscale(1); opacity: 0.6;' : ''}">
+            ${photos.length > 1 ? `<span class="photo-count">📷 ${photos.length}</span>` : ''}
+        </div>
+        <div class="item-info">
+            ${isLendListing(item) ? `
+            <span class="price-tag" style="color: ${isAvailable ? '#28a745' : '#e67e22'}; font-weight: bold;">
+                ${describeRate(item.price)} ${isLent ? '(ON LOAN)' : ''}
+            </span>
+            <small class="listing-type-badge">🔁 Lend / Rent</small>` : `
+            <span class="price-tag" style="color: ${isAvailable ? '#28a745' : isReserved ? '#e67e22' : '#666'}; font-weight: bold;">
+                ₹${item.price} ${isReserved ? '(RESERVED)' : !isAvailable ? '(SOLD)' : ''}
+            </span>
+            ${wasPrice && isOpen ? `<span class="was-price">₹${wasPrice}</span> <small class="price-drop">⬇ Price dropped</small>` : ''}`}
+            <small class="item-category">${MARKET_CATEGORIES[item.category] || MARKET_CATEGORIES.other}</small>
+            <h4 class="item-name"></h4>
+            <p class="item-desc"></p>
+            <small class="item-seller"></small>
+            <small class="seller-rep" data-rep-uid="${item.sellerId}"></small>
+            
+            <div class="card-actions" style="margin-top: 10px;">
+                ${isLendListing(item) ? lendActions(item, isOwner, isLent) : isOwner && isOpen ? 
+                    `<div style="display: flex; gap: 6px;">
+                        <button class="btn-sold" onclick="markAsSold('${item.id}')" style="flex: 1; background:#6c757d; color:white; border:none; padding:8px; border-radius:4px; cursor:pointer;">
+                            Mark as Sold
+                        </button>
+                        <button class="btn-secondary" onclick="editListing('${item.id}')" title="Edit listing">✏️</button>
+                     </div>` : 
+                    isOpen ? 
+                    `<button class="btn-primary" style="width:100%" 
+                            onclick="openChat('${item.sellerId}', '${item.sellerEmail}', '${item.id}')">
+                        Chat with Seller
+                    </button>` : 
+                    `<button disabled class="btn-disabled" style="width:100%; background:#eee; cursor:not-allowed; border:1px solid #ddd; padding:8px;">
+                        Item Sold
+                    </button>`
+                }
+            </div>
+        </div>
+    `;
+    const img = card.querySelector('.item-photo img');
+    img.src = thumbnailUrl(photos[0], 480) || 'placeholder.jpg';
+    img.alt = item.itemName;
+    card.querySelector('.item-name').textContent = item.itemName;
+    card.querySelector('.item-desc').textContent = item.description;
+    card.querySelector('.item-seller').textContent = `Seller: ${item.sellerEmail}`;
+
+    // Anyone but the seller can flag a listing for the moderators
+    if (!isOwner) {
+        const reportBtn = document.createElement('button');
+        reportBtn.className = 'report-post-btn';
+        reportBtn.title = 'Report listing';
+        reportBtn.textContent = '🚩';
+        reportBtn.onclick = () => promptForPostReport('marketplace', item.id, item);
+        card.querySelector('.item-photo').appendChild(reportBtn);
+    }
+
+    // Tapping the photo opens the full gallery
+    if (photos.length > 0) card.querySelector('.item-photo').onclick = (e) => {
+        if (!e.target.closest('.report-post-btn')) openLightbox(photos);
+    };
+    fillReputationBadges(card);
+    return card;
+}
+
+// Borrowing replaces buying on lend listings; the owner can still chat and edit
+function lendActions(item, isOwner, isLent) {
+    if (isOwner) {
+        return `<button class="btn-secondary" style="width:100%" onclick="editListing('${item.id}')">✏️ Edit listing</button>`;
+    }
+    const until = item.lentUntil?.toDate ? ` until ${item.lentUntil.toDate().toLocaleDateString()}` : '';
+    return `
+        <div style="display: flex; gap: 6px;">
+            <button class="btn-primary" style="flex: 1;" onclick="openBorrowDialog('${item.id}')">${isLent ? `📅 Book (on loan${until})` : '📅 Borrow'}</button>
+            <button class="btn-secondary" onclick="openChat('${item.sellerId}', '${item.sellerEmail}', '${item.id}')" title="Chat with owner">💬</button>
+        </div>`;
+}
+
+/**
+ * --- 8. MY LISTINGS ---
+ * The seller's own items in every state, with the actions that keep the
+ * gallery tidy: edit, renew an expired listing, mark sold, delete. Each row
+ * also shows the price history.
+ */
+function describeExpiry(item) {
+    if (item.status === 'sold') return item.buyerEmail ? `✅ Sold to ${item.buyerEmail.split('@')[0]}` : '✅ Sold';
+    if (item.status === LISTING_STATUS.LENT) {
+        const until = item.lentUntil?.toDate ? ` until ${item.lentUntil.toDate().toLocaleDateString()}` : '';
+        return `🔁 On loan to ${(item.lentToEmail || '').split('@')[0]}${until}`;
+    }
+    if (effectiveStatus(item) === 'reserved') {
+        const until = item.reservedUntil?.toDate ? `, held until ${item.reservedUntil.toDate().toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}` : '';
+        return `📌 Reserved for ${(item.reservedForEmail || '').split('@')[0]}${item.agreedPrice ? ` at ₹${item.agreedPrice}` : ''}${until}`;
+    }
+    if (isExpired(item)) return '⌛ Expired, hidden from the gallery';
+    const left = daysLeft(item);
+    return `🟢 Live, expires in ${left} day${left === 1 ? '' : 's'}`;
+}
+
+function renderMyListings() {
+    if (!myListingsContainer) return;
+    myListingsContainer.innerHTML = '';
+
+    if (myListings.length === 0) {
+        myListingsContainer.innerHTML = '<p>You haven\'t listed anything yet.</p>';
+        return;
+    }
+
+    myListings.forEach((item) => {
+        const expired = isExpired(item);
+        const isOpen = item.status !== 'sold';
+        const history = (item.priceHistory || [])
+            .map(entry => `₹${entry.price}`)
+            .concat(`₹${item.price}`)
+            .join(' → ');
+
+        const row = document.createElement('div');
+        row.className = `my-listing-row ${expired ? 'expired' : ''}`;
+        row.innerHTML = `
+            <img src="${thumbnailUrl(listingPhotos(item)[0], 160) || 'placeholder.jpg'}" alt="">
+            <div class="my-listing-info">
+                <strong class="my-listing-name"></strong>
+                <span>${isLendListing(item) ? describeRate(item.price) : `₹${item.price}`}</span>
+                <small>${describeExpiry(item)}</small>
+                ${item.hidden ? '<small class="moderation-note"></small>' : ''}
+                ${(item.priceHistory || []).length > 0 ? `<small class="price-history">Price history: ${history}</small>` : ''}
+            </div>
+            <div class="my-listing-actions">
+                ${expired ? `<button class="btn-primary" onclick="renewListing('${item.id}')">🔄 Renew ${listingLifetimeDays()} days</button>` : ''}
+                ${isOpen ? `<button class="btn-secondary" onclick="editListing('${item.id}')">✏️ Edit</button>` : ''}
+                ${isOpen && !expired && !isLendListing(item) ? `<button class="btn-secondary" onclick="markAsSold('${item.id}')">Mark as Sold</button>` : ''}
+                ${!isOpen && item.buyerId ? `<button class="btn-secondary" onclick="reviewBuyer('${item.id}')">⭐ Review buyer</button>` : ''}
+                <button class="ban-btn" onclick="deleteListing('${item.id}')">🗑️ Delete</button>
+            </div>
+        `;
+        row.querySelector('.my-listing-name').textContent = item.itemName;
+        if (item.hidden) row.querySelector('.moderation-note').textContent = `🚫 Hidden by moderators${item.moderationNote ? `: ${item.moderationNote}` : ''}`;
+        myListingsContainer.appendChild(row);
+    });
 }
 
+const findListing = (itemId) => myListings.find(item => item.id === itemId) || loadedItems.find(item => item.id === itemId);
+
+window.editListing = (itemId) => {
+    const item = findListing(itemId);
+    if (item) openListingForm(item);
+};
+
+window.renewListing = async (itemId) => {
+    try {
+        await renewListing(itemId);
+    } catch (error) { console.error("Renew Error:", error); }
+};
+
+window.deleteListing = async (itemId) => {
+    const item = findListing(itemId);
+    if (!confirm(`Delete "${item ? item.itemName : 'this listing'}"? This can't be undone.`)) return;
+    try {
+        await deleteListing(itemId);
+    } catch (error) { console.error("Delete Listing Error:", error); }
+};
+
 // Logic to allow sellers to close their listings
+// A reserved item is sold to the buyer holding it, so the buyer gets recorded
 window.markAsSold = async (itemId) => {
-    if (confirm("Mark as sold? This hides the chat for new buyers.")) {
+    const item = findListing(itemId);
+    const holder = item && effectiveStatus(item) === 'reserved' ? { uid: item.reservedFor, email: item.reservedForEmail } : null;
+    const question = holder ? `Mark as sold to ${holder.email.split('@')[0]}?` : "Mark as sold? This hides the chat for new buyers.";
+    if (confirm(question)) {
         try {
-            await db.collection("marketplace_items").doc(itemId).update({ status: 'sold' });
+            // Without a buyer there's nobody to review, so it doesn't count towards the sales total
+            if (holder) await markSoldTo(itemId, holder);
+            else await db.collection("marketplace_items").doc(itemId).update({ status: 'sold' });
         } catch (error) { console.error(error); }
     }
 };
 
+// Sellers rate the buyer from My Listings; buyers rate the seller from the chat
+window.reviewBuyer = async (itemId) => {
+    const item = findListing(itemId);
+    if (!item) return;
+    try {
+        await promptForReview(itemId, item);
+    } catch (error) {
+        console.error("Review Error:", error);
+        alert(error.code === 'review/not-allowed' ? error.message : "❌ Couldn't save your review. Please try again.");
+    }
+};
+
+/**
+ * --- 9. BUYER-SELLER CHAT ---
+ * The drawer, inbox and message storage live in the shared messaging
+ * service; the marketplace only tells it which item and seller to talk about.
+ * Thread IDs stay deterministic (Item_Buyer_Seller) so we never create
+ * duplicate threads for the same transaction.
+ */
+window.openChat = (sellerId, sellerEmail, itemId) => startThread({
+    type: CHAT_TYPES.MARKETPLACE,
+    otherUid: sellerId,
+    otherEmail: sellerEmail,
+    itemId
+});
+
 /**
- * --- 7. SECURE CHAT & INBOX ENGINE ---
- * This creates a direct bridge between a buyer and a seller.
- * I designed the chatId to be deterministic (Item_Buyer_Seller) so 
- * we never create duplicate threads for the same transaction.
+ * --- 10. WANTED POSTS ---
+ * Buyers describe what they're after; anyone who has it starts a normal
+ * 1:1 chat with them. Posting can also save a matching search, so the
+ * buyer hears about it if the item gets listed instead.
  */
-window.openChat = async (sellerId, sellerEmail, itemId) => {
-    if (!sellerId || sellerId === auth.currentUser.uid) return;
+function renderWanted(posts) {
+    wantedPosts = posts;
+    if (!wantedContainer) return;
+    wantedContainer.innerHTML = '';
 
-    const buyerId = auth.currentUser.uid;
-    const chatId = `${itemId}_${buyerId}_${sellerId}`;
-    const chatRef = db.collection("chats").doc(chatId);
+    if (posts.length === 0) {
+        wantedContainer.innerHTML = '<p>Nobody is looking for anything right now.</p>';
+        return;
+    }
 
+    posts.forEach((post) => {
+        const isOwner = auth.currentUser && auth.currentUser.uid === post.requesterId;
+        const posted = post.createdAt?.toDate ? post.createdAt.toDate().toLocaleDateString() : '';
+
+        const card = document.createElement('div');
+        card.className = 'wanted-card';
+        card.innerHTML = `
+            <div class="wanted-info">
+                <strong class="wanted-title"></strong>
+                <small class="item-category">${MARKET_CATEGORIES[post.category] || MARKET_CATEGORIES.other}</small>
+                ${post.maxPrice !== null && post.maxPrice !== undefined ? `<span class="wanted-budget">Budget up to ₹${post.maxPrice}</span>` : ''}
+                <p class="wanted-desc"></p>
+                <small>Posted by ${(post.requesterEmail || '').split('@')[0]}${posted ? ` on ${posted}` : ''}</small>
+            </div>
+            <div class="wanted-actions">
+                ${isOwner
+                    ? `<button class="btn-secondary" onclick="markWantedFound('${post.id}')">✅ Found it</button>
+                       <button class="ban-btn" onclick="deleteWantedPost('${post.id}')">🗑️ Delete</button>`
+                    : `<button class="btn-primary" onclick="replyToWanted('${post.id}')">💬 I have this</button>`}
+            </div>
+        `;
+        card.querySelector('.wanted-title').textContent = post.title;
+        card.querySelector('.wanted-desc').textContent = post.description || '';
+        wantedContainer.appendChild(card);
+    });
+}
+
+window.replyToWanted = (postId) => {
+    const post = wantedPosts.find(p => p.id === postId);
+    if (!post) return;
+    startThread({ type: CHAT_TYPES.GENERAL, otherUid: post.requesterId, otherEmail: post.requesterEmail });
+};
+
+window.markWantedFound = async (postId) => {
     try {
-        const doc = await chatRef.get();
-        if (!doc.exists) {
-            await chatRef.set({
-                itemId, participants: [buyerId, sellerId],
-                participantEmails: [auth.currentUser.email, sellerEmail],
-                messages: [], lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
-            });
-        }
-        currentActiveChatId = chatId; 
-        chatDrawer.classList.add('open');
-        chatDrawer.style.display = 'flex';
-        startChatListener(chatId);
-    } catch (e) { console.error(e); }
+        await markWantedFound(postId);
+    } catch (error) { console.error("Wanted Update Error:", error); }
 };
 
-function startChatListener(chatId) {
-    if (currentChatListener) currentChatListener(); 
-    currentChatListener = db.collection("chats").doc(chatId)
-        .onSnapshot((doc) => {
-            if (!doc.exists) return;
-            chatMessages.innerHTML = '';
-            doc.data().messages.forEach(msg => {
-                const div = document.createElement('div');
-                div.className = `msg ${msg.senderId === auth.currentUser.uid ? 'sent' : 'received'}`;
-                div.textContent = msg.text;
-                chatMessages.appendChild(div);
-            });
-            chatMessages.scrollTop = chatMessages.scrollHeight; 
-        });
-}
+window.deleteWantedPost = async (postId) => {
+    if (!confirm("Delete this wanted post?")) return;
+    try {
+        await deleteWantedPost(postId);
+    } catch (error) { console.error("Wanted Delete Error:", error); }
+};
 
-// Handler for sending messages inside a marketplace thread
-if (sendMsgBtn) {
-    sendMsgBtn.onclick = async () => {
-        const text = chatInput.value.trim();
-        if (!text || !currentActiveChatId) return;
-        await db.collection("chats").doc(currentActiveChatId).update({
-            messages: firebase.firestore.FieldValue.arrayUnion({
-                senderId: auth.currentUser.uid, text, timestamp: new Date().toISOString()
-            }),
-            lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
-        });
-        chatInput.value = '';
-    };
+if (wantedForm) {
+    wantedForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const wantedStatus = document.getElementById('wanted-status');
+        const categoryEl = document.getElementById('wanted-category');
+        const post = {
+            title: document.getElementById('wanted-title').value.trim(),
+            description: document.getElementById('wanted-desc').value.trim(),
+            category: categoryEl && MARKET_CATEGORIES[categoryEl.value] ? categoryEl.value : 'other',
+            maxPrice: readPrice(document.getElementById('wanted-max-price'))
+        };
+        if (!post.title) return;
+
+        const submitBtn = wantedForm.querySelector('button[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        try {
+            await createWantedPost(post);
+            if (document.getElementById('wanted-alert')?.checked) {
+                await saveSearch({ q: post.title, category: post.category, maxPrice: post.maxPrice })
+                    .catch((err) => {
+                        if (err.code === 'search/limit') alert(err.message);
+                        else throw err;
+                    });
+            }
+            wantedForm.reset();
+            if (wantedStatus) wantedStatus.textContent = "✅ Posted! Sellers can now message you.";
+        } catch (err) {
+            console.error("Wanted Post Error:", err);
+            if (wantedStatus) wantedStatus.textContent = "❌ Error posting your request.";
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    });
 }
 
 /**
- * --- 8. GLOBAL INBOX ---
- * Summarizes all active negotiations. I included manual sorting to ensure 
- * the most recent activity stays at the top of the student's inbox.
+ * --- 11. SAVED SEARCHES & ALERTS ---
+ * "Save search" stores the keyword, category and max price currently in
+ * the filter bar. Saved searches sit as chips under the filters (tap to
+ * apply, × to remove); new matching listings pop up as alerts.
  */
-function loadInbox() {
-    if (!auth.currentUser || !inboxContainer) return;
-
-    db.collection("chats")
-        .where("participants", "array-contains", auth.currentUser.uid)
-        .onSnapshot((snap) => {
-            const container = document.getElementById('inbox-container');
-            const msgCount = document.getElementById('msg-count');
-            if (!container) return;
-
-            container.innerHTML = '';
-            let unreadCount = 0;
-
-            if (snap.empty) {
-                container.innerHTML = '<p style="padding:15px; color: #666;">No active conversations.</p>';
-                return;
-            }
+const MAX_VISIBLE_ALERTS = 3;
 
-            // Client-side sorting while Firestore indexing propagates
-            const docs = snap.docs.sort((a, b) => {
-                const timeA = a.data().lastUpdated?.seconds || 0;
-                const timeB = b.data().lastUpdated?.seconds || 0;
-                return timeB - timeA;
-            });
+function describeSearch(search) {
+    const parts = [search.q ? `"${search.q}"` : 'Anything'];
+    if (search.category && search.category !== 'all') parts.push(`in ${MARKET_CATEGORIES[search.category] || search.category}`);
+    if (search.maxPrice !== null && search.maxPrice !== undefined) parts.push(`up to ₹${search.maxPrice}`);
+    return parts.join(' ');
+}
 
-            docs.forEach((doc) => {
-                const chat = doc.data();
-                const otherEmail = chat.participantEmails.find(e => e !== auth.currentUser.email);
-                const messages = chat.messages || [];
-                const lastMsg = messages.length > 0 ? messages[messages.length - 1] : null;
-                const isNew = lastMsg && lastMsg.senderId !== auth.currentUser.uid;
-                
-                if (isNew) unreadCount++;
-
-                const div = document.createElement('div');
-                div.className = `chat-summary-card ${isNew ? 'unread-bg' : ''}`;
-                div.innerHTML = `
-                    <strong>${isNew ? '🔵 ' : ''}${otherEmail.split('@')[0]}</strong>
-                    <p>${lastMsg ? lastMsg.text : 'Negotiation started...'}</p>
-                `;
-                
-                div.onclick = () => {
-                    currentActiveChatId = doc.id;
-                    chatDrawer.classList.add('open');
-                    chatDrawer.style.display = 'flex';
-                    startChatListener(doc.id);
-                };
-                container.appendChild(div);
-            });
+function applySavedSearch(search) {
+    updateFilters({ q: search.q || '', category: search.category || 'all', min: null, max: search.maxPrice ?? null });
+    syncFilterControls();
+    showView('gallery');
+}
 
-            if (msgCount) msgCount.textContent = unreadCount > 0 ? `(${unreadCount})` : '';
-        });
+function renderSavedSearches(searches) {
+    if (!savedSearchesBox) return;
+    savedSearchesBox.innerHTML = '';
+    savedSearchesBox.style.display = searches.length > 0 ? 'flex' : 'none';
+
+    searches.forEach((search) => {
+        const chip = document.createElement('span');
+        chip.className = 'saved-search-chip';
+        chip.innerHTML = `<span class="saved-search-label"></span><button title="Remove saved search">×</button>`;
+        const label = chip.querySelector('.saved-search-label');
+        label.textContent = `🔔 ${describeSearch(search)}`;
+        label.onclick = () => applySavedSearch(search);
+        chip.querySelector('button').onclick = () => deleteSavedSearch(search.id)
+            .catch(err => console.error("Saved Search Delete Error:", err));
+        savedSearchesBox.appendChild(chip);
+    });
 }
 
-// Draggable UI utility for the chat overlay
-const dragElement = (elmnt) => {
-  let pos1 = 0, pos2 = 0, pos3 = 0, pos4 = 0;
-  const header = elmnt.querySelector(".chat-header");
-  if (header) { header.onmousedown = (e) => {
-    e = e || window.event;
-    pos3 = e.clientX; pos4 = e.clientY;
-    document.onmouseup = () => { document.onmouseup = null; document.onmousemove = null; };
-    document.onmousemove = (e) => {
-        e = e || window.event;
-        pos1 = pos3 - e.clientX; pos2 = pos4 - e.clientY;
-        pos3 = e.clientX; pos4 = e.clientY;
-        elmnt.style.top = (elmnt.offsetTop - pos2) + "px";
-        elmnt.style.left = (elmnt.offsetLeft - pos1) + "px";
-        elmnt.style.bottom = "auto"; elmnt.style.right = "auto";
+if (saveSearchBtn) {
+    saveSearchBtn.addEventListener('click', async () => {
+        const search = { q: filters.q, category: filters.category, maxPrice: filters.max };
+        if (isEmptySearch(search)) {
+            alert("Type a keyword, pick a category or set a max price first.");
+            return;
+        }
+        try {
+            await saveSearch(search);
+            alert("🔔 Search saved! You'll get an alert when a new listing matches.");
+        } catch (err) {
+            console.error("Save Search Error:", err);
+            alert(err.code === 'search/limit' ? err.message : "❌ Couldn't save this search.");
+        }
+    });
+}
+
+// Toast in the top corner; also used for loan reminders below
+function pushAlert({ title, text, detail, actionLabel, onAction }) {
+    if (!alertsBox) return;
+    const toast = document.createElement('div');
+    toast.className = 'market-alert';
+    toast.innerHTML = `
+        <div class="market-alert-text">
+            <strong class="market-alert-title"></strong>
+            <span class="market-alert-item"></span>
+            <small class="market-alert-search"></small>
+        </div>
+        <button class="btn-secondary market-alert-view"></button>
+        <button class="market-alert-close" title="Dismiss">×</button>
+    `;
+    toast.querySelector('.market-alert-title').textContent = title;
+    toast.querySelector('.market-alert-item').textContent = text;
+    toast.querySelector('.market-alert-search').textContent = detail;
+    const actionBtn = toast.querySelector('.market-alert-view');
+    actionBtn.textContent = actionLabel;
+    actionBtn.onclick = () => {
+        onAction();
+        toast.remove();
     };
-  }};
+    toast.querySelector('.market-alert-close').onclick = () => toast.remove();
+
+    // Newest on top; older alerts give way when several arrive at once
+    alertsBox.prepend(toast);
+    while (alertsBox.children.length > MAX_VISIBLE_ALERTS) alertsBox.lastChild.remove();
 }
-if (chatDrawer) dragElement(chatDrawer);
 
-// UX: Enter to send messages
-if (chatInput) {
-    chatInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            sendMsgBtn.click();
+function showMatchAlert(item, search) {
+    pushAlert({
+        title: '🔔 New match',
+        text: `${item.itemName} · ₹${item.price}`,
+        detail: `For your search ${describeSearch(search)}`,
+        actionLabel: 'View',
+        onAction: () => applySavedSearch(search)
+    });
+}
+
+/**
+ * --- 12. LENDING & LOANS ---
+ * Borrowers pick dates in a small dialog; the Loans view lists both sides
+ * of every loan with the actions that move it along. Reminders about late
+ * or nearly-due loans are shown each time the marketplace opens.
+ */
+const loanActionError = (err) => {
+    console.error("Loan Error:", err);
+    alert(err.code && err.code.startsWith('loan/') ? err.message : "❌ That didn't work. Please try again.");
+};
+
+const dateValue = (date) => {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 10);
+};
+
+function updateBorrowSummary() {
+    const summary = document.getElementById('borrow-summary');
+    const startValue = document.getElementById('borrow-start').value;
+    const endValue = document.getElementById('borrow-end').value;
+    if (!summary || !borrowingItem) return;
+    if (!startValue || !endValue || endValue < startValue) {
+        summary.textContent = '';
+        return;
+    }
+    const start = startOfDay(startValue);
+    const end = endOfDay(endValue);
+    if (conflictingBooking(borrowingItem, start, end)) {
+        summary.textContent = '⚠️ Already booked for some of those dates';
+        return;
+    }
+    const days = loanDays(start, end);
+    const cost = loanCost(borrowingItem.price, start, end);
+    summary.textContent = `${days} day${days === 1 ? '' : 's'} · ${cost > 0 ? `₹${cost} total` : 'Free'}`;
+}
+
+window.openBorrowDialog = (itemId) => {
+    const item = loadedItems.find(i => i.id === itemId);
+    if (!item || !borrowDialog) return;
+    borrowingItem = item;
+
+    const today = new Date();
+    const maxDate = new Date(today.getTime() + MAX_LOAN_DAYS * 24 * 60 * 60 * 1000);
+    const startInput = document.getElementById('borrow-start');
+    const endInput = document.getElementById('borrow-end');
+    startInput.min = endInput.min = dateValue(today);
+    endInput.max = dateValue(maxDate);
+    startInput.value = endInput.value = dateValue(today);
+    document.getElementById('borrow-note').value = '';
+    document.getElementById('borrow-title').textContent = `📅 Borrow "${item.itemName}"`;
+    document.getElementById('borrow-rate').textContent = describeRate(item.price);
+    updateBorrowSummary();
+    borrowDialog.style.display = 'flex';
+};
+
+function closeBorrowDialog() {
+    borrowingItem = null;
+    if (borrowDialog) borrowDialog.style.display = 'none';
+}
+
+if (borrowDialog) {
+    document.getElementById('borrow-start').addEventListener('change', updateBorrowSummary);
+    document.getElementById('borrow-end').addEventListener('change', updateBorrowSummary);
+    document.getElementById('borrow-cancel').addEventListener('click', closeBorrowDialog);
+    borrowDialog.addEventListener('click', (e) => { if (e.target === borrowDialog) closeBorrowDialog(); });
+
+    const submitBtn = document.getElementById('borrow-submit');
+    submitBtn.addEventListener('click', async () => {
+        if (!borrowingItem) return;
+        submitBtn.disabled = true;
+        try {
+            const item = borrowingItem;
+            const chatId = await requestLoan(item.id, item, {
+                startValue: document.getElementById('borrow-start').value,
+                endValue: document.getElementById('borrow-end').value,
+                note: document.getElementById('borrow-note').value.trim()
+            });
+            closeBorrowDialog();
+            alert("📅 Request sent! You'll see the owner's reply in chat and under Loans.");
+            if (chatId) window.openChat(item.sellerId, item.sellerEmail, item.id);
+        } catch (err) {
+            loanActionError(err);
+        } finally {
+            submitBtn.disabled = false;
         }
     });
 }
 
-window.closeChat = () => { chatDrawer.style.display = 'none'; };
+const LOAN_STATUS_LABELS = {
+    [LOAN_STATUS.REQUESTED]: '⏳ Requested',
+    [LOAN_STATUS.ACTIVE]: '🔁 Active',
+    [LOAN_STATUS.DECLINED]: '❌ Declined',
+    [LOAN_STATUS.CANCELLED]: '↩️ Cancelled',
+    [LOAN_STATUS.RETURNED]: '✅ Returned'
+};
+
+function describeLoanStatus(loan) {
+    if (isOverdue(loan)) {
+        const days = daysOverdue(loan);
+        return `⚠️ Overdue by ${days} day${days === 1 ? '' : 's'}`;
+    }
+    if (isDueSoon(loan)) return '⏰ Due within a day';
+    if (loan.status === LOAN_STATUS.ACTIVE && !hasStarted(loan)) return '📅 Booked';
+    return LOAN_STATUS_LABELS[loan.status] || loan.status;
+}
+
+function renderLoanList(container, loans, asOwner) {
+    if (!container) return;
+    container.innerHTML = '';
+    if (loans.length === 0) {
+        container.innerHTML = `<p class="loan-empty">${asOwner ? "You haven't lent anything yet." : "You haven't borrowed anything yet."}</p>`;
+        return;
+    }
+
+    loans.forEach((loan) => {
+        const start = loan.startDate?.toDate ? loan.startDate.toDate().toLocaleDateString() : '';
+        const due = dueDate(loan);
+        const other = (asOwner ? loan.borrowerEmail : loan.ownerEmail) || '';
+        const pending = loan.status === LOAN_STATUS.REQUESTED;
+        const active = loan.status === LOAN_STATUS.ACTIVE;
+
+        const row = document.createElement('div');
+        row.className = `loan-row ${isOverdue(loan) ? 'overdue' : ''} ${active || pending ? '' : 'closed'}`;
+        row.innerHTML = `
+            <div class="loan-info">
+                <strong class="loan-item-name"></strong>
+                <small>${asOwner ? 'Borrower' : 'Owner'}: ${other.split('@')[0]}</small>
+                <small>${start} → ${due ? due.toLocaleDateString() : ''} · ${loan.totalCost > 0 ? `₹${loan.totalCost}` : 'Free'}</small>
+                <small class="loan-status">${describeLoanStatus(loan)}</small>
+                ${loan.note ? '<small class="loan-note"></small>' : ''}
+            </div>
+            <div class="loan-actions">
+                ${asOwner && pending ? `<button class="btn-primary" onclick="answerLoan('${loan.id}', '${LOAN_STATUS.ACTIVE}')">✅ Approve</button>
+                    <button class="btn-secondary" onclick="answerLoan('${loan.id}', '${LOAN_STATUS.DECLINED}')">Decline</button>` : ''}
+                ${!asOwner && pending ? `<button class="btn-secondary" onclick="answerLoan('${loan.id}', '${LOAN_STATUS.CANCELLED}')">Cancel request</button>` : ''}
+                ${!asOwner && active && !hasStarted(loan) ? `<button class="btn-secondary" onclick="cancelLoanBooking('${loan.id}')">Cancel booking</button>` : ''}
+                ${asOwner && active && hasStarted(loan) ? `<button class="btn-primary" onclick="markLoanReturned('${loan.id}')">📦 Mark returned</button>` : ''}
+                ${asOwner && canRemind(loan) ? `<button class="btn-secondary" onclick="remindBorrower('${loan.id}')">⏰ Send reminder</button>` : ''}
+            </div>
+        `;
+        row.querySelector('.loan-item-name').textContent = loan.itemName;
+        if (loan.note) row.querySelector('.loan-note').textContent = `“${loan.note}”`;
+        container.appendChild(row);
+    });
+}
+
+function renderLoans(loans) {
+    currentLoans = loans;
+    renderLoanList(loansLentBox, loans.lent, true);
+    renderLoanList(loansBorrowedBox, loans.borrowed, false);
+}
+
+const findLoan = (loanId) => [...currentLoans.lent, ...currentLoans.borrowed].find(loan => loan.id === loanId);
+
+window.answerLoan = async (loanId, action) => {
+    if (action === LOAN_STATUS.DECLINED && !confirm("Decline this borrow request?")) return;
+    try {
+        await respondToLoan(loanId, action);
+    } catch (err) { loanActionError(err); }
+};
+
+window.markLoanReturned = async (loanId) => {
+    const loan = findLoan(loanId);
+    if (!confirm(`Has "${loan ? loan.itemName : 'this item'}" been returned? The listing will go live again.`)) return;
+    try {
+        await markReturned(loanId);
+    } catch (err) { loanActionError(err); }
+};
+
+window.cancelLoanBooking = async (loanId) => {
+    const loan = findLoan(loanId);
+    if (!confirm(`Cancel your booking for "${loan ? loan.itemName : 'this item'}"? The owner will be told in chat.`)) return;
+    try {
+        await cancelBooking(loanId);
+    } catch (err) { loanActionError(err); }
+};
+
+window.remindBorrower = async (loanId) => {
+    const loan = findLoan(loanId);
+    if (!loan) return;
+    try {
+        await sendReminder(loanId, loan);
+        alert("⏰ Reminder sent in chat.");
+    } catch (err) { loanActionError(err); }
+};
+
+// Runs once per visit: borrowers hear about due and late loans, owners about late ones
+async function showLoanReminders() {
+    try {
+        const { borrowed, lent } = await overdueAlertsFor();
+        borrowed.forEach((loan) => pushAlert({
+            title: isOverdue(loan) ? '⚠️ Loan overdue' : '⏰ Loan due soon',
+            text: loan.itemName,
+            detail: `Due back to ${(loan.ownerEmail || '').split('@')[0]} on ${dueDate(loan).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`,
+            actionLabel: 'Loans',
+            onAction: () => showView('loans')
+        }));
+        lent.forEach((loan) => pushAlert({
+            title: '⚠️ Not returned yet',
+            text: loan.itemName,
+            detail: `${(loan.borrowerEmail || '').split('@')[0]} is ${daysOverdue(loan)} day(s) late`,
+            actionLabel: 'Loans',
+            onAction: () => showView('loans')
+        }));
+
+        const needsAttention = borrowed.length + lent.length;
+        if (loanCountBadge) loanCountBadge.textContent = needsAttention > 0 ? needsAttention : '';
+    } catch (err) {
+        console.error("Loan Reminder Error:", err);
+    }
+}
 
 // Initial run
-renderMarketplace();
\ No newline at end of file
+syncFilterControls();
\ No newline at end of file
@@ -0,0 +1,748 @@
+/**
+ * CAMPUS UTILITIES HUB - MESSAGING SERVICE
+ * The single chat engine behind the Chat Hub and the Marketplace / Lost & Found
+ * drawers. Pages never talk to the 'chats' collection directly; they go
+ * through the thread, subscription, send and inbox APIs below.
+ *
+ * Storage layout:
+ * - chats/{chatId}: participants, 'type' (general / marketplace / lost-found /
+ *   group), optional itemId, group name/owner/category, plus 'lastMessage'
+ *   and 'lastUpdated' for inbox previews.
+ *   Read state is tracked per participant in the 'lastReadAt' and
+ *   'unreadCounts' maps, keyed by UID.
+ * - chats/{chatId}/messages/{msgId}: one document per message, so long
+ *   negotiations no longer re-download (or outgrow) a single document.
+ *   Messages can be edited ('editedAt'), tombstoned ('deleted') or quote
+ *   another message ('replyTo'). Marketplace price offers carry an
+ *   'offer' object next to a plain-text summary. 'keywords' holds the
+ *   lowercase word prefixes of the text and file name for in-conversation
+ *   search.
+ * - chats/{chatId}/typing/{uid}: when each participant last pressed a key.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+import { uploadToCloudinary, thumbnailUrl } from './uploads.js';
+import { isBlockedBetween } from './safety.js';
+
+export const CHAT_TYPES = {
+    GENERAL: 'general',
+    MARKETPLACE: 'marketplace',
+    LOST_FOUND: 'lost-found',
+    GROUP: 'group'
+};
+
+// Labels for the kind of group a club or study circle is creating
+export const GROUP_CATEGORIES = {
+    club: 'Club',
+    study: 'Study Group',
+    project: 'Project Team',
+    other: 'Other'
+};
+
+// How many messages are streamed per "page" of history
+export const MESSAGE_PAGE_SIZE = 25;
+
+/**
+ * Attachment whitelist. Photos are shown inline with a thumbnail, PDFs as a
+ * downloadable file card. Limits keep Cloudinary usage (and mobile data) sane.
+ */
+export const ATTACHMENT_RULES = {
+    image: { types: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'], maxBytes: 5 * 1024 * 1024 },
+    file: { types: ['application/pdf'], maxBytes: 10 * 1024 * 1024 }
+};
+
+// Senders can edit or delete their own messages for this long after sending
+export const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Quoted text is trimmed so replies don't duplicate whole essays
+const QUOTE_PREVIEW_LENGTH = 120;
+
+// Firestore batches are capped at 500 writes, I keep a safety margin
+const MIGRATION_BATCH_SIZE = 400;
+
+// Chat IDs currently being migrated or re-indexed, so repeated inbox snapshots don't restart the job
+const migrationsInFlight = new Map();
+
+// Participant lists of threads we've already seen, so sending doesn't need an extra read
+const participantCache = new Map();
+
+const chatRef = (chatId) => db.collection("chats").doc(chatId);
+const messagesRef = (chatId) => chatRef(chatId).collection("messages");
+const typingRef = (chatId, uid) => chatRef(chatId).collection("typing").doc(uid);
+
+/**
+ * --- 1. THREAD IDENTITY ---
+ * Chat IDs stay deterministic so the same pair of people (and item) always
+ * resume one thread. The formats match what the pages generated before, so
+ * existing conversations are picked up as-is.
+ */
+function threadIdFor(type, myUid, otherUid, itemId) {
+    if (type === CHAT_TYPES.MARKETPLACE) return `${itemId}_${myUid}_${otherUid}`;
+    if (type === CHAT_TYPES.LOST_FOUND) return `LF_${itemId}_${myUid}_${otherUid}`;
+    return [myUid, otherUid].sort().join('_');
+}
+
+/**
+ * Chats created before 'type' was stored are classified the old way
+ * (LF_ prefix / itemId) and get the field backfilled on first sight.
+ */
+function chatTypeOf(chatId, chat) {
+    if (chat.type) return chat.type;
+    if (chatId.startsWith("LF_")) return CHAT_TYPES.LOST_FOUND;
+    return chat.itemId ? CHAT_TYPES.MARKETPLACE : CHAT_TYPES.GENERAL;
+}
+
+/**
+ * --- 2. LEGACY MIGRATION ---
+ * Older chats still carry the 'messages' array. The first time a participant
+ * sees one of these chats, the array is copied into the subcollection and
+ * then removed from the parent doc. Doc IDs are derived from the array index,
+ * so if both participants migrate at the same time they simply overwrite
+ * each other with identical data.
+ */
+function isLegacyChat(chat) {
+    return !!chat && Array.isArray(chat.messages);
+}
+
+function legacyTimestamp(msg, index) {
+    const parsed = new Date(msg.timestamp);
+    // Fallback keeps the original ordering for entries with broken dates
+    if (isNaN(parsed.getTime())) return firebase.firestore.Timestamp.fromMillis(index);
+    return firebase.firestore.Timestamp.fromDate(parsed);
+}
+
+function runOnce(chatId, work) {
+    if (!migrationsInFlight.has(chatId)) {
+        const job = work().finally(() => migrationsInFlight.delete(chatId));
+        migrationsInFlight.set(chatId, job);
+    }
+    return migrationsInFlight.get(chatId);
+}
+
+function migrateLegacyChat(chatId, chat) {
+    if (!isLegacyChat(chat)) return Promise.resolve();
+    return runOnce(chatId, () => copyLegacyMessages(chatId, chat.messages));
+}
+
+async function copyLegacyMessages(chatId, legacy) {
+    for (let start = 0; start < legacy.length; start += MIGRATION_BATCH_SIZE) {
+        const batch = db.batch();
+        legacy.slice(start, start + MIGRATION_BATCH_SIZE).forEach((msg, offset) => {
+            const index = start + offset;
+            batch.set(messagesRef(chatId).doc(`legacy_${String(index).padStart(6, '0')}`), {
+                senderId: msg.senderId,
+                text: msg.text || '',
+                keywords: searchKeywordsOf(msg),
+                timestamp: legacyTimestamp(msg, index)
+            });
+        });
+        await batch.commit();
+    }
+
+    const last = legacy[legacy.length - 1];
+    await chatRef(chatId).update({
+        messages: firebase.firestore.FieldValue.delete(),
+        searchIndex: SEARCH_INDEX_VERSION,
+        lastMessage: last ? {
+            senderId: last.senderId,
+            text: last.text || '',
+            timestamp: legacyTimestamp(last, legacy.length - 1)
+        } : null
+    });
+}
+
+// Returns the preview message for a chat, whether it has been migrated yet or not
+function lastMessageOf(chat) {
+    if (chat.lastMessage) return chat.lastMessage;
+    const legacy = chat.messages || [];
+    return legacy.length > 0 ? legacy[legacy.length - 1] : null;
+}
+
+// Brings an older chat document up to the current layout
+async function upgradeThread(chatId, chat) {
+    participantCache.set(chatId, chat.participants || []);
+    if (isLegacyChat(chat)) await migrateLegacyChat(chatId, chat);
+    else if (chat.searchIndex !== SEARCH_INDEX_VERSION) await runOnce(chatId, () => reindexMessages(chatId));
+    if (!chat.type) await chatRef(chatId).update({ type: chatTypeOf(chatId, chat) });
+}
+
+/**
+ * Blocking applies to direct conversations. The error carries a 'code' in the
+ * same style as Firebase errors so the UI can tell it apart from network issues.
+ */
+function blockedError() {
+    const err = new Error("You can't message this user.");
+    err.code = 'chat/blocked';
+    return err;
+}
+
+async function assertCanMessage(participants) {
+    const me = auth.currentUser.uid;
+    const others = participants.filter(uid => uid !== me);
+    if (others.length !== 1) return; // Groups aren't gated by 1:1 blocks
+    if (await isBlockedBetween(others[0])) throw blockedError();
+}
+
+/**
+ * --- 3. CREATE OR RESUME ---
+ * openThread() is what every "Chat with Seller" / "Contact Finder" / user
+ * search result calls. It returns the chat ID, creating the thread if this
+ * is the first contact, or null if the target is the current user. Throws
+ * a 'chat/blocked' error if either side has blocked the other.
+ */
+export async function openThread({ type, otherUid, otherEmail, itemId = null }) {
+    const me = auth.currentUser;
+    if (!me || !otherUid || otherUid === me.uid) return null;
+
+    if (await isBlockedBetween(otherUid)) throw blockedError();
+
+    const chatId = threadIdFor(type, me.uid, otherUid, itemId);
+    const doc = await chatRef(chatId).get();
+
+    if (!doc.exists) {
+        participantCache.set(chatId, [me.uid, otherUid]);
+        await chatRef(chatId).set({
+            type,
+            itemId,
+            participants: [me.uid, otherUid],
+            participantEmails: [me.email, otherEmail],
+            lastMessage: null,
+            searchIndex: SEARCH_INDEX_VERSION,
+            lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    } else {
+        await upgradeThread(chatId, doc.data());
+    }
+    return chatId;
+}
+
+// Used when a thread is reopened from an inbox rather than from an item/user
+export async function resumeThread(chatId) {
+    const doc = await chatRef(chatId).get();
+    if (doc.exists) await upgradeThread(chatId, doc.data());
+    return chatId;
+}
+
+/**
+ * --- 4. PAGINATED LIVE SUBSCRIPTION ---
+ * The thread is queried newest-first and limited to one page. "Load older"
+ * simply widens the limit and re-attaches the listener, so every message on
+ * screen stays live instead of mixing live and one-off reads.
+ *
+ * onChange receives the messages oldest-first (ready to render top-down) and
+ * a meta object: { hasMore, isOlderPage }.
+ */
+export function subscribeToMessages(chatId, onChange) {
+    let limit = MESSAGE_PAGE_SIZE;
+    let unsubscribe = null;
+    let isOlderPage = false;
+
+    const attach = () => {
+        if (unsubscribe) unsubscribe();
+        unsubscribe = messagesRef(chatId)
+            .orderBy("timestamp", "desc")
+            .limit(limit)
+            .onSnapshot((snap) => {
+                const messages = snap.docs.map(doc => ({
+                    id: doc.id,
+                    // Pending server timestamps are estimated so local sends sort correctly
+                    ...doc.data({ serverTimestamps: 'estimate' })
+                })).reverse();
+
+                onChange(messages, { hasMore: snap.size >= limit, isOlderPage });
+                isOlderPage = false;
+            }, (err) => console.error("Message Listener Error:", err));
+    };
+
+    attach();
+
+    return {
+        loadOlder() {
+            limit += MESSAGE_PAGE_SIZE;
+            isOlderPage = true;
+            attach();
+        },
+        unsubscribe() {
+            if (unsubscribe) unsubscribe();
+            unsubscribe = null;
+        }
+    };
+}
+
+/**
+ * Live view of the chat document itself (participants, read state), used
+ * for "seen" ticks next to the message list.
+ */
+export function subscribeToThread(chatId, onChange) {
+    return chatRef(chatId).onSnapshot((doc) => {
+        if (!doc.exists) return;
+        const chat = doc.data({ serverTimestamps: 'estimate' });
+        participantCache.set(chatId, chat.participants || []);
+        onChange({ id: doc.id, ...chat });
+    }, (err) => console.error("Thread Listener Error:", err));
+}
+
+/**
+ * --- 5. SENDING ---
+ * The message doc and the parent preview are written in one batch so the
+ * inbox never shows a preview for a message that failed to save. The same
+ * batch bumps every other participant's unread counter, and replying counts
+ * as having read the thread.
+ */
+async function participantsOf(chatId) {
+    if (!participantCache.has(chatId)) {
+        const doc = await chatRef(chatId).get();
+        participantCache.set(chatId, doc.exists ? doc.data().participants || [] : []);
+    }
+    return participantCache.get(chatId);
+}
+
+async function writeMessage(chatId, { text, attachment = null, replyTo = null, offer = null }) {
+    const senderId = auth.currentUser.uid;
+    const now = firebase.firestore.FieldValue.serverTimestamp();
+    const participants = await participantsOf(chatId);
+    await assertCanMessage(participants);
+    const batch = db.batch();
+
+    const message = { senderId, text, timestamp: now };
+    if (attachment) message.attachment = attachment;
+    if (replyTo) message.replyTo = replyTo;
+    if (offer) message.offer = offer;
+
+    // The search index stays on the message doc only; previews don't need it
+    const keywords = searchKeywordsOf(message);
+
+    // The preview keeps the message ID so edits and deletes can update it
+    const messageRef = messagesRef(chatId).doc();
+    const parentUpdate = {
+        lastMessage: { ...message, id: messageRef.id },
+        lastUpdated: now,
+        [`lastReadAt.${senderId}`]: now,
+        [`unreadCounts.${senderId}`]: 0
+    };
+    participants.filter(uid => uid !== senderId).forEach(uid => {
+        parentUpdate[`unreadCounts.${uid}`] = firebase.firestore.FieldValue.increment(1);
+    });
+
+    batch.set(messageRef, { ...message, keywords });
+    batch.update(chatRef(chatId), parentUpdate);
+    batch.delete(typingRef(chatId, senderId)); // Sending ends the "typing…" state
+
+    await batch.commit();
+    return messageRef.id;
+}
+
+// replyTo is an optional quote built with quoteOf()
+export async function sendMessage(chatId, text, replyTo = null) {
+    await writeMessage(chatId, { text, replyTo });
+}
+
+/**
+ * Returns an error message for files we won't accept, or null if it's fine.
+ */
+export function validateAttachment(file) {
+    const kind = Object.keys(ATTACHMENT_RULES).find(k => ATTACHMENT_RULES[k].types.includes(file.type));
+    if (!kind) return "Only images (JPG, PNG, WEBP, GIF) and PDF files can be sent.";
+
+    const limitMb = ATTACHMENT_RULES[kind].maxBytes / (1024 * 1024);
+    if (file.size > ATTACHMENT_RULES[kind].maxBytes) return `That file is too large (max ${limitMb} MB).`;
+    return null;
+}
+
+/**
+ * Uploads the file through the shared Cloudinary path, then sends it as a
+ * message with an optional caption. Throws if validation or upload fails.
+ */
+export async function sendAttachment(chatId, file, caption = '', replyTo = null) {
+    const problem = validateAttachment(file);
+    if (problem) throw new Error(problem);
+    await assertCanMessage(await participantsOf(chatId)); // Don't upload if it can't be sent
+
+    const isImage = ATTACHMENT_RULES.image.types.includes(file.type);
+    const upload = await uploadToCloudinary(file, isImage ? 'image' : 'raw');
+
+    await writeMessage(chatId, {
+        text: caption,
+        attachment: {
+            kind: isImage ? 'image' : 'file',
+            url: upload.secure_url,
+            thumbUrl: isImage ? thumbnailUrl(upload.secure_url) : null,
+            name: file.name,
+            mimeType: file.type,
+            size: file.size
+        },
+        replyTo
+    });
+}
+
+/**
+ * Structured price offer for a marketplace chat. The text is a readable
+ * fallback (and what search and previews use); the 'offer' object is what
+ * the bubble renders as a card. The offer itself lives on the listing (see
+ * market-deals.js); the message mirrors its status. Returns the message ID.
+ */
+export async function sendOffer(chatId, offer) {
+    const verb = offer.kind === 'counter' ? 'Countered with' : 'Offered';
+    return writeMessage(chatId, {
+        text: `${verb} ₹${offer.amount} for ${offer.itemName}`,
+        offer: { ...offer, status: 'pending' }
+    });
+}
+
+export async function setOfferStatus(chatId, messageId, status) {
+    await messagesRef(chatId).doc(messageId).update({ 'offer.status': status });
+}
+
+// One-line summary used by inbox previews
+export function messagePreview(msg) {
+    if (!msg) return '';
+    if (msg.deleted) return '🚫 Message deleted';
+    if (msg.offer) return `💸 ${msg.offer.kind === 'counter' ? 'Counter-offer' : 'Offer'}: ₹${msg.offer.amount}`;
+    if (msg.text) return msg.text;
+    if (msg.attachment) return msg.attachment.kind === 'image' ? '📷 Photo' : `📄 ${msg.attachment.name}`;
+    return '';
+}
+
+/**
+ * --- 6. READ RECEIPTS ---
+ * Called whenever a thread is on screen (drawer or Chat Hub) and something
+ * new arrives. Resets this user's counter and moves their read marker.
+ */
+export async function markThreadRead(chatId) {
+    const uid = auth.currentUser.uid;
+    await chatRef(chatId).update({
+        [`lastReadAt.${uid}`]: firebase.firestore.FieldValue.serverTimestamp(),
+        [`unreadCounts.${uid}`]: 0
+    });
+}
+
+/**
+ * A message counts as seen once some other participant's read marker has
+ * passed its timestamp.
+ */
+export function isSeenByOthers(msg, chat) {
+    const sentAt = msg.timestamp?.toMillis ? msg.timestamp.toMillis() : 0;
+    return Object.entries(chat?.lastReadAt || {}).some(([uid, readAt]) =>
+        uid !== msg.senderId && readAt?.toMillis && readAt.toMillis() >= sentAt
+    );
+}
+
+// Chats from before read tracking count as one unread if the other person spoke last
+function unreadCountOf(chat, uid, lastMessage) {
+    if (chat.unreadCounts && uid in chat.unreadCounts) return chat.unreadCounts[uid];
+    if (chat.lastReadAt && chat.lastReadAt[uid]) return 0;
+    return lastMessage && lastMessage.senderId !== uid ? 1 : 0;
+}
+
+/**
+ * --- 7. GROUP CONVERSATIONS ---
+ * Named threads with an owner and any number of members. Unlike 1:1 chats
+ * they get a random ID, since two groups can have the same people in them.
+ * Only the owner manages membership; anyone can leave.
+ */
+export async function createGroup({ name, category = 'other' }) {
+    const me = auth.currentUser;
+    const ref = db.collection("chats").doc();
+
+    participantCache.set(ref.id, [me.uid]);
+    await ref.set({
+        type: CHAT_TYPES.GROUP,
+        name,
+        category,
+        ownerId: me.uid,
+        participants: [me.uid],
+        participantEmails: [me.email],
+        lastMessage: null,
+        searchIndex: SEARCH_INDEX_VERSION,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    return ref.id;
+}
+
+export async function addGroupMember(chatId, uid, email) {
+    participantCache.delete(chatId);
+    await chatRef(chatId).update({
+        participants: firebase.firestore.FieldValue.arrayUnion(uid),
+        participantEmails: firebase.firestore.FieldValue.arrayUnion(email),
+        [`unreadCounts.${uid}`]: 0
+    });
+}
+
+export async function removeGroupMember(chatId, uid, email) {
+    participantCache.delete(chatId);
+    await chatRef(chatId).update({
+        participants: firebase.firestore.FieldValue.arrayRemove(uid),
+        participantEmails: firebase.firestore.FieldValue.arrayRemove(email),
+        [`unreadCounts.${uid}`]: firebase.firestore.FieldValue.delete(),
+        [`lastReadAt.${uid}`]: firebase.firestore.FieldValue.delete()
+    });
+}
+
+/**
+ * --- 8. INBOX ---
+ * One listener over every chat the user takes part in, newest activity first.
+ * Each entry is flattened into what the inbox UIs need, and older documents
+ * are upgraded in the background as they stream past.
+ * Returns the unsubscribe function so pages can swap filters without leaking
+ * listeners.
+ */
+export function subscribeToInbox(onChange) {
+    const me = auth.currentUser;
+    if (!me) return () => {};
+
+    return db.collection("chats")
+        .where("participants", "array-contains", me.uid)
+        .orderBy("lastUpdated", "desc")
+        .onSnapshot((snap) => {
+            const threads = snap.docs.map((doc) => {
+                const chat = doc.data();
+                participantCache.set(doc.id, chat.participants || []);
+                if (isLegacyChat(chat) || !chat.type || chat.searchIndex !== SEARCH_INDEX_VERSION) {
+                    upgradeThread(doc.id, chat).catch(err => console.error("Chat Upgrade Error:", err));
+                }
+
+                const lastMessage = lastMessageOf(chat);
+                const emails = chat.participantEmails || [];
+                const type = chatTypeOf(doc.id, chat);
+                const isGroup = type === CHAT_TYPES.GROUP;
+                const otherEmail = isGroup ? null : emails.find(e => e !== me.email) || "User";
+                return {
+                    id: doc.id,
+                    type,
+                    itemId: chat.itemId || null,
+                    otherUid: isGroup ? null : (chat.participants || []).find(uid => uid !== me.uid),
+                    otherEmail,
+                    // Display name for inbox rows: the group's name or the other person's handle
+                    title: isGroup ? chat.name || "Group" : otherEmail.split('@')[0],
+                    participants: chat.participants || [],
+                    ownerId: chat.ownerId || null,
+                    category: chat.category || null,
+                    lastMessage,
+                    preview: lastMessage ? messagePreview(lastMessage) : '',
+                    unreadCount: unreadCountOf(chat, me.uid, lastMessage)
+                };
+            });
+            onChange(threads);
+        }, (err) => console.error("Inbox Listener Error:", err));
+}
+
+/**
+ * --- 9. TYPING INDICATORS ---
+ * Typing state is kept out of the chat document so keystrokes don't wake up
+ * every inbox listener. Writes are throttled, and a marker older than a few
+ * seconds counts as "stopped", so a closed tab never leaves "typing…" stuck.
+ */
+const TYPING_THROTTLE_MS = 3000;
+const TYPING_TIMEOUT_MS = 6000;
+let lastTypingWrite = { chatId: null, at: 0 };
+
+export function notifyTyping(chatId) {
+    const now = Date.now();
+    if (lastTypingWrite.chatId === chatId && now - lastTypingWrite.at < TYPING_THROTTLE_MS) return;
+    lastTypingWrite = { chatId, at: now };
+
+    typingRef(chatId, auth.currentUser.uid).set({
+        at: firebase.firestore.FieldValue.serverTimestamp()
+    }).catch(err => console.error("Typing Error:", err));
+}
+
+export function clearTyping(chatId) {
+    if (lastTypingWrite.chatId !== chatId) return;
+    lastTypingWrite = { chatId: null, at: 0 };
+    typingRef(chatId, auth.currentUser.uid).delete().catch(err => console.error("Typing Error:", err));
+}
+
+// onChange receives the UIDs of everyone else currently typing
+export function subscribeToTyping(chatId, onChange) {
+    const me = auth.currentUser.uid;
+    let markers = [];
+
+    const evaluate = () => {
+        const now = Date.now();
+        onChange(markers
+            .filter(m => m.uid !== me && m.at && now - m.at < TYPING_TIMEOUT_MS)
+            .map(m => m.uid));
+    };
+
+    const unsubscribe = chatRef(chatId).collection("typing").onSnapshot((snap) => {
+        markers = snap.docs.map(doc => {
+            const at = doc.data({ serverTimestamps: 'estimate' }).at;
+            return { uid: doc.id, at: at?.toMillis ? at.toMillis() : 0 };
+        });
+        evaluate();
+    }, (err) => console.error("Typing Listener Error:", err));
+
+    // Re-check periodically so stale markers expire without a new snapshot
+    const timer = setInterval(evaluate, 2000);
+    return () => {
+        unsubscribe();
+        clearInterval(timer);
+    };
+}
+
+/**
+ * --- 10. EDITING, DELETING & REPLIES ---
+ * Senders can fix or withdraw a message for a short while after sending.
+ * Deleting leaves a tombstone instead of removing the doc, so the thread
+ * (and anything quoting it) keeps its shape. Both run in a transaction with
+ * the chat doc so the inbox preview follows when the last message changes.
+ */
+function sentAtMillis(msg) {
+    return msg.timestamp?.toMillis ? msg.timestamp.toMillis() : 0;
+}
+
+export function canModifyMessage(msg) {
+    const me = auth.currentUser;
+    if (!me || !msg || msg.deleted || msg.senderId !== me.uid) return false;
+    if (msg.id && msg.id.startsWith('legacy_')) return false; // Migrated history is read-only
+    return Date.now() - sentAtMillis(msg) < MESSAGE_EDIT_WINDOW_MS;
+}
+
+function editWindowError() {
+    const err = new Error("This message can no longer be changed.");
+    err.code = 'chat/edit-window';
+    return err;
+}
+
+// 'changes' can also be a function of the current message, for edits that depend on it
+async function modifyMessage(chatId, msgId, changes) {
+    const ref = messagesRef(chatId).doc(msgId);
+    await db.runTransaction(async (tx) => {
+        const [msgDoc, chatDoc] = await Promise.all([tx.get(ref), tx.get(chatRef(chatId))]);
+        const msg = msgDoc.exists ? { id: msgId, ...msgDoc.data() } : null;
+        if (!msg || !canModifyMessage(msg)) throw editWindowError();
+        const update = typeof changes === 'function' ? changes(msg) : changes;
+
+        tx.update(ref, update);
+        if (chatDoc.exists && chatDoc.data().lastMessage?.id === msgId) {
+            const previewChanges = {};
+            Object.entries(update)
+                .filter(([key]) => key !== 'keywords')
+                .forEach(([key, value]) => { previewChanges[`lastMessage.${key}`] = value; });
+            tx.update(chatRef(chatId), previewChanges);
+        }
+    });
+}
+
+export async function editMessage(chatId, msgId, text) {
+    // Re-indexed with the attachment's file name, like a freshly sent message
+    await modifyMessage(chatId, msgId, (msg) => ({
+        text,
+        keywords: searchKeywordsOf({ ...msg, text }),
+        editedAt: firebase.firestore.FieldValue.serverTimestamp()
+    }));
+}
+
+export async function deleteMessage(chatId, msgId) {
+    await modifyMessage(chatId, msgId, {
+        deleted: true,
+        text: '',
+        attachment: firebase.firestore.FieldValue.delete(),
+        replyTo: firebase.firestore.FieldValue.delete(),
+        offer: firebase.firestore.FieldValue.delete(),
+        keywords: [],
+        deletedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// Snapshot of a message to quote in a reply; senderName is whatever the UI shows for them
+export function quoteOf(msg, senderName) {
+    const preview = messagePreview(msg);
+    return {
+        id: msg.id,
+        senderId: msg.senderId,
+        senderName: senderName || "User",
+        preview: preview.length > QUOTE_PREVIEW_LENGTH ? `${preview.slice(0, QUOTE_PREVIEW_LENGTH)}…` : preview
+    };
+}
+
+/**
+ * --- 11. SEARCHING MESSAGES ---
+ * Firestore has no full-text search, so every message stores the lowercase
+ * prefixes of its words ("th", "the", "ther", ...), which lets "thermo" find
+ * "thermodynamics". A search picks the longest word of the query (usually
+ * the most selective), asks each conversation for its newest messages
+ * containing it, and then keeps only those whose text contains every query
+ * word. Conversations are passed in by the caller, so the Chat Hub can scope
+ * the search to the active tab.
+ * keywords + timestamp desc needs a composite index on the messages group.
+ *
+ * Chats record the 'searchIndex' version their messages were indexed with;
+ * upgradeThread() re-indexes older ones the first time they show up.
+ */
+const SEARCH_INDEX_VERSION = 2;
+export const SEARCH_MIN_WORD_LENGTH = 2; // Shorter prefixes aren't indexed
+const MAX_PREFIX_LENGTH = 15;
+const MAX_KEYWORDS = 300;
+const SEARCH_PER_THREAD_LIMIT = 20;
+
+export function tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function keywordsOf(text) {
+    const prefixes = new Set();
+    tokenize(text).forEach(word => {
+        for (let length = SEARCH_MIN_WORD_LENGTH; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+            prefixes.add(word.slice(0, length));
+        }
+    });
+    return [...prefixes].slice(0, MAX_KEYWORDS);
+}
+
+function searchKeywordsOf(msg) {
+    return msg.deleted ? [] : keywordsOf(`${msg.text || ''} ${msg.attachment?.name || ''}`);
+}
+
+async function reindexMessages(chatId) {
+    let last = null;
+    for (;;) {
+        let page = messagesRef(chatId)
+            .orderBy(firebase.firestore.FieldPath.documentId())
+            .limit(MIGRATION_BATCH_SIZE);
+        if (last) page = page.startAfter(last);
+        const snap = await page.get();
+        if (snap.empty) break;
+
+        const batch = db.batch();
+        snap.docs.forEach(doc => batch.update(doc.ref, { keywords: searchKeywordsOf(doc.data()) }));
+        await batch.commit();
+        if (snap.size < MIGRATION_BATCH_SIZE) break;
+        last = snap.docs[snap.docs.length - 1];
+    }
+    await chatRef(chatId).update({ searchIndex: SEARCH_INDEX_VERSION });
+}
+
+/**
+ * Resolves to [{ thread, message }], newest first. A conversation whose query
+ * fails (no access any more, or an index still building) is logged and
+ * skipped rather than failing the whole search.
+ */
+export async function searchMessages(threads, queryText) {
+    const words = [...new Set(tokenize(queryText))];
+    if (words.length === 0) return [];
+    const anchor = words.reduce((a, b) => (b.length > a.length ? b : a)).slice(0, MAX_PREFIX_LENGTH);
+    if (anchor.length < SEARCH_MIN_WORD_LENGTH) return [];
+
+    const perThread = await Promise.all(threads.map(async (thread) => {
+        const snap = await messagesRef(thread.id)
+            .where("keywords", "array-contains", anchor)
+            .orderBy("timestamp", "desc")
+            .limit(SEARCH_PER_THREAD_LIMIT)
+            .get()
+            .catch((err) => {
+                console.error("Message Search Error:", thread.id, err);
+                return null;
+            });
+        if (!snap) return [];
+        return snap.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(msg => {
+                const haystack = `${msg.text || ''} ${msg.attachment?.name || ''}`.toLowerCase();
+                return !msg.deleted && words.every(word => haystack.includes(word));
+            })
+            .map(message => ({ thread, message }));
+    }));
+
+    return perThread.flat().sort((a, b) => sentAtMillis(b.message) - sentAtMillis(a.message));
+}
@@ -0,0 +1,90 @@
+/**
+ * CAMPUS UTILITIES HUB - PAGED LIVE FEED
+ * Cursor-based infinite scroll where every loaded page stays live.
+ *
+ * Each page is its own listener over a fixed slice of the query:
+ *   page 0: start ........ cursor0
+ *   page 1: after cursor0 ... cursor1
+ *   last:   after cursorN, limit(pageSize)  <- open-ended until more is loaded
+ * Because the slices are bounded by document cursors rather than offsets,
+ * a listing being added, sold or deleted only changes its own page and
+ * nothing shifts between pages.
+ *
+ * The caller gets the merged, ordered list of documents on every change and
+ * is expected to patch the DOM from it.
+ */
+
+export const FEED_PAGE_SIZE = 12;
+
+/**
+ * query: a Firestore query with its orderBy already applied.
+ * onChange(items, { hasMore, loading }) where items are { id, ...data }.
+ * Returns { loadMore(), unsubscribe() }.
+ */
+export function createPagedFeed(query, onChange, pageSize = FEED_PAGE_SIZE) {
+    const pages = []; // { start, end, docs, unsubscribe }
+    let hasMore = true;
+    let loading = false;
+    let closed = false;
+
+    const emit = () => {
+        if (closed) return;
+        const items = pages.flatMap(page => page.docs);
+        onChange(items, { hasMore, loading });
+    };
+
+    const listen = (page, pageQuery, onFirstSnapshot) => {
+        let first = true;
+        page.unsubscribe = pageQuery.onSnapshot((snap) => {
+            page.docs = snap.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+            if (first) {
+                first = false;
+                if (onFirstSnapshot) onFirstSnapshot(snap);
+            }
+            emit();
+        }, (err) => {
+            console.error("Feed Listener Error:", err);
+            loading = false;
+            emit();
+        });
+    };
+
+    // Once a page has a successor it gets a fixed end cursor instead of a limit
+    const closePage = (page) => {
+        page.unsubscribe();
+        let bounded = page.start ? query.startAfter(page.start) : query;
+        bounded = bounded.endAt(page.end);
+        listen(page, bounded);
+    };
+
+    function loadMore() {
+        if (closed || loading || !hasMore) return;
+        loading = true;
+
+        const previous = pages[pages.length - 1];
+        const start = previous ? previous.end : null;
+        if (previous) closePage(previous);
+
+        const page = { start, end: null, docs: [], unsubscribe: () => {} };
+        pages.push(page);
+
+        const pageQuery = (start ? query.startAfter(start) : query).limit(pageSize);
+        listen(page, pageQuery, (snap) => {
+            loading = false;
+            hasMore = snap.size >= pageSize;
+            page.end = snap.docs[snap.docs.length - 1] || start;
+        });
+        emit();
+    }
+
+    loadMore();
+
+    return {
+        loadMore,
+        unsubscribe() {
+            closed = true;
+            pages.forEach(page => page.unsubscribe());
+            pages.length = 0;
+        }
+    };
+}
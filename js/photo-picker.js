@@ -0,0 +1,97 @@
+/**
+ * CAMPUS UTILITIES HUB - LISTING PHOTO PICKER
+ * Lets a seller pick several photos, reorder them and choose the cover
+ * before anything is uploaded. The first photo in the strip is the cover.
+ * Entries are either new files (previewed from memory) or photos that are
+ * already hosted, so the same picker can edit an existing listing.
+ */
+import { uploadToCloudinary, thumbnailUrl } from './uploads.js';
+
+export const MAX_LISTING_PHOTOS = 5;
+
+export function createPhotoPicker(input, strip, maxPhotos = MAX_LISTING_PHOTOS) {
+    let entries = []; // { file, previewUrl } for new photos, { url, previewUrl } for hosted ones
+
+    const release = (entry) => { if (entry.file) URL.revokeObjectURL(entry.previewUrl); };
+
+    const move = (from, to) => {
+        if (to < 0 || to >= entries.length) return;
+        const [entry] = entries.splice(from, 1);
+        entries.splice(to, 0, entry);
+        render();
+    };
+
+    function render() {
+        if (!strip) return;
+        strip.innerHTML = '';
+        entries.forEach((entry, index) => {
+            const tile = document.createElement('div');
+            tile.className = `photo-tile ${index === 0 ? 'cover' : ''}`;
+            tile.innerHTML = `
+                <img src="${entry.previewUrl}" alt="">
+                ${index === 0 ? '<span class="photo-cover-label">COVER</span>' : ''}
+                <div class="photo-tile-actions">
+                    <button type="button" data-action="left" title="Move left" ${index === 0 ? 'disabled' : ''}>◀</button>
+                    ${index === 0 ? '' : '<button type="button" data-action="cover" title="Make cover">⭐</button>'}
+                    <button type="button" data-action="right" title="Move right" ${index === entries.length - 1 ? 'disabled' : ''}>▶</button>
+                    <button type="button" data-action="remove" title="Remove">✕</button>
+                </div>
+            `;
+            tile.querySelector('[data-action="left"]').onclick = () => move(index, index - 1);
+            tile.querySelector('[data-action="right"]').onclick = () => move(index, index + 1);
+            const coverBtn = tile.querySelector('[data-action="cover"]');
+            if (coverBtn) coverBtn.onclick = () => move(index, 0);
+            tile.querySelector('[data-action="remove"]').onclick = () => {
+                release(entries[index]);
+                entries.splice(index, 1);
+                render();
+            };
+            strip.appendChild(tile);
+        });
+        if (input) input.disabled = entries.length >= maxPhotos;
+    }
+
+    if (input) {
+        input.addEventListener('change', () => {
+            const files = [...input.files].filter(file => file.type.startsWith('image/'));
+            input.value = '';
+
+            const room = maxPhotos - entries.length;
+            if (files.length > room) alert(`You can add up to ${maxPhotos} photos per listing.`);
+            files.slice(0, room).forEach(file => entries.push({ file, previewUrl: URL.createObjectURL(file) }));
+            render();
+        });
+    }
+
+    return {
+        count: () => entries.length,
+
+        // Loads the photos of an existing listing into the strip
+        setExisting(urls) {
+            entries.forEach(release);
+            entries = urls.map(url => ({ url, previewUrl: thumbnailUrl(url, 200) }));
+            render();
+        },
+
+        // Uploads new photos and returns every URL in strip order (cover first)
+        async uploadAll() {
+            return Promise.all(entries.map(async (entry) => {
+                if (entry.url) return entry.url;
+                const data = await uploadToCloudinary(entry.file);
+                return data.secure_url;
+            }));
+        },
+
+        reset() {
+            entries.forEach(release);
+            entries = [];
+            render();
+        }
+    };
+}
+
+// Photo list for any listing, including ones saved before multi-photo support
+export function listingPhotos(item) {
+    if (Array.isArray(item.images) && item.images.length > 0) return item.images;
+    return item.imageUrl ? [item.imageUrl] : [];
+}
@@ -0,0 +1,71 @@
+/**
+ * CAMPUS UTILITIES HUB - ONLINE PRESENCE
+ * Firestore has no "on disconnect" hook, so presence is a heartbeat: while a
+ * chat page is open and visible we refresh users/{uid}.lastActive every
+ * minute. Someone counts as online if their heartbeat is recent and they
+ * didn't explicitly leave; otherwise we show when they were last seen.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+
+const HEARTBEAT_MS = 60 * 1000;
+const ONLINE_WINDOW_MS = 2.5 * 60 * 1000; // Two missed beats means gone
+
+let heartbeatTimer = null;
+let started = false;
+
+function beat(online = true) {
+    const user = auth.currentUser;
+    if (!user) return;
+    db.collection("users").doc(user.uid).set({
+        online,
+        lastActive: firebase.firestore.FieldValue.serverTimestamp()
+    }, { merge: true }).catch(err => console.error("Presence Error:", err));
+}
+
+/**
+ * --- 1. HEARTBEAT ---
+ * Started once per page by the chat UIs. Beats pause while the tab is
+ * hidden and a final "offline" write is attempted when the page closes.
+ */
+export function startPresence() {
+    if (started) return;
+    started = true;
+
+    auth.onAuthStateChanged((user) => {
+        clearInterval(heartbeatTimer);
+        if (!user) return;
+        beat();
+        heartbeatTimer = setInterval(() => { if (!document.hidden) beat(); }, HEARTBEAT_MS);
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) beat();
+    });
+    window.addEventListener('pagehide', () => beat(false));
+}
+
+/**
+ * --- 2. READING PRESENCE ---
+ */
+export function isOnline(profile) {
+    const last = profile?.lastActive?.toMillis ? profile.lastActive.toMillis() : 0;
+    return !!profile?.online && Date.now() - last < ONLINE_WINDOW_MS;
+}
+
+export function describePresence(profile) {
+    if (isOnline(profile)) return "🟢 Online";
+    if (!profile?.lastActive?.toMillis) return "";
+
+    const minutes = Math.floor((Date.now() - profile.lastActive.toMillis()) / 60000);
+    if (minutes < 1) return "Last seen just now";
+    if (minutes < 60) return `Last seen ${minutes} min ago`;
+    if (minutes < 24 * 60) return `Last seen ${Math.floor(minutes / 60)} h ago`;
+    return `Last seen ${profile.lastActive.toDate().toLocaleDateString()}`;
+}
+
+// Live presence for one user; returns the unsubscribe function
+export function watchPresence(uid, onChange) {
+    return db.collection("users").doc(uid).onSnapshot((doc) => {
+        onChange(doc.exists ? doc.data({ serverTimestamps: 'estimate' }) : null);
+    }, (err) => console.error("Presence Listener Error:", err));
+}
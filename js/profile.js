@@ -1,4 +1,6 @@
 import { auth, db } from './firebase-config.js';
+import { uploadToCloudinary } from './uploads.js';
+import { directoryFields } from './user-directory.js';
 
 const profileForm = document.getElementById('profile-form');
 const nameInput = document.getElementById('profile-name');
@@ -6,9 +8,6 @@ const emailInput = document.getElementById('profile-email');
 const profilePic = document.getElementById('profile-display-pic');
 const statusMsg = document.getElementById('profile-status');
 
-const CLOUD_NAME = "di1jmmord";
-const UPLOAD_PRESET = "CampusUtilityHub";
-
 /**
  * 1. Load User Data
  * Fetches existing info from Firestore to pre-fill the form
@@ -56,15 +55,7 @@ profileForm.addEventListener('submit', async (e) => {
 
         // Step A: Upload new picture to Cloudinary if a file was selected
         if (imageFile) {
-            const formData = new FormData();
-            formData.append('file', imageFile);
-            formData.append('upload_preset', UPLOAD_PRESET);
-
-            const res = await fetch(`https://api.cloudinary.com/v1_1/${CLOUD_NAME}/image/upload`, {
-                method: 'POST',
-                body: formData
-            });
-            const data = await res.json();
+            const data = await uploadToCloudinary(imageFile);
             imageUrl = data.secure_url;
         }
 
@@ -72,7 +63,7 @@ profileForm.addEventListener('submit', async (e) => {
         // This ensures the Chat Hub can find this user by name (case-insensitive)
         await db.collection("users").doc(user.uid).set({
             name: newName,
-            name_lowercase: newName.toLowerCase(), // CRITICAL for Chat Hub search
+            ...directoryFields({ name: newName, email: user.email }), // CRITICAL for Chat Hub search
             profilePic: imageUrl,
             email: user.email,
             lastUpdated: new Date().toISOString()
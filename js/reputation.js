@@ -0,0 +1,150 @@
+/**
+ * CAMPUS UTILITIES HUB - SELLER REPUTATION
+ * Post-sale reviews and the running totals shown next to sellers.
+ *
+ * - Once a listing is sold to a recorded buyer, the seller and the buyer
+ *   can each review the other once: reviews/{itemId}_{reviewerId}.
+ * - Totals ({ asSeller: { sum, count }, asBuyer: { sum, count }, sales })
+ *   are worked out from those reviews and the user's sold listings when
+ *   they're shown. Nobody writes to another student's profile, and a
+ *   failed sale can't leave a count behind.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+
+const REVIEW_MAX_LENGTH = 300;
+const REPUTATION_CACHE_MS = 5 * 60 * 1000;
+const reputationCache = new Map();
+const itemSellers = new Map();
+
+const reviewRef = (itemId, reviewerId) => db.collection("reviews").doc(`${itemId}_${reviewerId}`);
+
+function reviewError(message) {
+    const err = new Error(message);
+    err.code = 'review/not-allowed';
+    return err;
+}
+
+/**
+ * --- 1. LEAVING A REVIEW ---
+ * Only the two people in the sale can review, and only once each; the
+ * transaction makes the "once" hold even with two tabs open.
+ */
+export function canReview(item, uid) {
+    return item.status === 'sold' && !!item.buyerId && (uid === item.sellerId || uid === item.buyerId);
+}
+
+export async function hasReviewed(itemId) {
+    const doc = await reviewRef(itemId, auth.currentUser.uid).get();
+    return doc.exists;
+}
+
+export async function leaveReview(itemId, item, rating, text) {
+    const me = auth.currentUser;
+    if (!canReview(item, me.uid)) throw reviewError("Only the buyer and seller can review this sale.");
+
+    const reviewingSeller = me.uid === item.buyerId;
+    const revieweeId = reviewingSeller ? item.sellerId : item.buyerId;
+    const ref = reviewRef(itemId, me.uid);
+
+    await db.runTransaction(async (tx) => {
+        if ((await tx.get(ref)).exists) throw reviewError("You've already reviewed this sale.");
+
+        tx.set(ref, {
+            itemId,
+            itemName: item.itemName,
+            reviewerId: me.uid,
+            reviewerEmail: me.email,
+            revieweeId,
+            role: reviewingSeller ? 'seller' : 'buyer',
+            rating,
+            text: (text || '').slice(0, REVIEW_MAX_LENGTH),
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    });
+    reputationCache.delete(revieweeId);
+}
+
+// Asks for the star rating and comment with the same prompts used elsewhere in the app
+export async function promptForReview(itemId, item) {
+    const otherRole = auth.currentUser.uid === item.buyerId ? 'seller' : 'buyer';
+    const input = prompt(`Rate the ${otherRole} for "${item.itemName}" from 1 to 5 stars:`);
+    if (input === null) return false;
+
+    const rating = parseInt(input, 10);
+    if (!(rating >= 1 && rating <= 5)) {
+        alert("Please enter a whole number from 1 to 5.");
+        return false;
+    }
+    const text = prompt("Add a short review (optional):") || '';
+    await leaveReview(itemId, item, rating, text.trim());
+    alert("⭐ Thanks for your review!");
+    return true;
+}
+
+/**
+ * --- 2. SHOWING REPUTATION ---
+ * Cached per user for a few minutes; a gallery page shows the same sellers
+ * over and over. Sales only count with a recorded buyer, otherwise listing
+ * and "selling" items would inflate them.
+ */
+async function loadReputation(uid) {
+    const [reviews, sold] = await Promise.all([
+        db.collection("reviews").where("revieweeId", "==", uid).get(),
+        db.collection("marketplace_items").where("sellerId", "==", uid).where("status", "==", 'sold').get()
+    ]);
+
+    const reputation = { sales: sold.docs.filter(doc => !!doc.data().buyerId).length };
+    reviews.docs.forEach((doc) => {
+        const review = doc.data();
+        const role = review.role === 'seller' ? 'asSeller' : 'asBuyer';
+        const totals = reputation[role] || (reputation[role] = { sum: 0, count: 0 });
+        totals.sum += review.rating || 0;
+        totals.count += 1;
+    });
+    return reputation;
+}
+
+export function getReputation(uid) {
+    const cached = reputationCache.get(uid);
+    if (cached && Date.now() - cached.at < REPUTATION_CACHE_MS) return cached.promise;
+
+    const promise = loadReputation(uid)
+        .catch((err) => {
+            console.error("Reputation Error:", err);
+            return {};
+        });
+    reputationCache.set(uid, { promise, at: Date.now() });
+    return promise;
+}
+
+export function formatSellerReputation(reputation) {
+    const { sum = 0, count = 0 } = reputation.asSeller || {};
+    const sales = reputation.sales || 0;
+    const salesLabel = `${sales} sale${sales === 1 ? '' : 's'}`;
+    if (count === 0) return sales > 0 ? `🆕 No reviews yet · ${salesLabel}` : '🆕 New seller';
+    return `⭐ ${(sum / count).toFixed(1)} (${count}) · ${salesLabel}`;
+}
+
+// Fills every [data-rep-uid] placeholder inside root with that seller's summary
+export function fillReputationBadges(root) {
+    root.querySelectorAll('[data-rep-uid]').forEach(async (el) => {
+        const reputation = await getReputation(el.dataset.repUid);
+        el.textContent = formatSellerReputation(reputation);
+    });
+}
+
+// Marketplace chat headers show the seller's standing, unless the seller is the one reading
+export async function sellerBadgeForItem(itemId) {
+    // A listing never changes hands, so its seller is looked up once
+    if (!itemSellers.has(itemId)) {
+        const doc = await db.collection("marketplace_items").doc(itemId).get();
+        itemSellers.set(itemId, doc.exists ? doc.data().sellerId : null);
+    }
+    const sellerId = itemSellers.get(itemId);
+    if (!sellerId || sellerId === auth.currentUser.uid) return null;
+
+    const badge = document.createElement('small');
+    badge.className = 'seller-rep';
+    badge.textContent = formatSellerReputation(await getReputation(sellerId));
+    return badge;
+}
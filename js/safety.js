@@ -0,0 +1,171 @@
+/**
+ * CAMPUS UTILITIES HUB - SAFETY TOOLS
+ * Blocking and reporting for every place students talk to each other.
+ *
+ * - Blocks live on the blocker's own profile (users/{uid}.blockedUsers) and
+ *   work both ways: neither side can start a thread or send a message.
+ * - Reports about students, listings and Lost & Found posts go into the
+ *   shared 'reports' collection, which the Admin Panel reads as its
+ *   moderation queues.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+
+// Other users' block lists are cached briefly so sending doesn't cost a read each time
+const BLOCK_CACHE_MS = 60 * 1000;
+const blockListCache = new Map();
+
+let myBlockedUsers = new Set();
+let myBlockListener = null;
+
+/**
+ * --- 1. MY BLOCK LIST ---
+ * Kept live so a block takes effect on every open page immediately.
+ */
+auth.onAuthStateChanged((user) => {
+    if (myBlockListener) myBlockListener();
+    myBlockListener = null;
+    myBlockedUsers = new Set();
+    if (!user) return;
+
+    myBlockListener = db.collection("users").doc(user.uid).onSnapshot((doc) => {
+        myBlockedUsers = new Set(doc.exists ? doc.data().blockedUsers || [] : []);
+    }, (err) => console.error("Block List Error:", err));
+});
+
+export function hasBlocked(uid) {
+    return myBlockedUsers.has(uid);
+}
+
+export async function blockUser(uid) {
+    myBlockedUsers.add(uid);
+    await db.collection("users").doc(auth.currentUser.uid).set({
+        blockedUsers: firebase.firestore.FieldValue.arrayUnion(uid)
+    }, { merge: true });
+}
+
+export async function unblockUser(uid) {
+    myBlockedUsers.delete(uid);
+    await db.collection("users").doc(auth.currentUser.uid).update({
+        blockedUsers: firebase.firestore.FieldValue.arrayRemove(uid)
+    });
+}
+
+/**
+ * --- 2. MUTUAL CHECK ---
+ * True if either side has blocked the other.
+ */
+async function theirBlockList(uid) {
+    const cached = blockListCache.get(uid);
+    if (cached && Date.now() - cached.at < BLOCK_CACHE_MS) return cached.list;
+
+    const doc = await db.collection("users").doc(uid).get();
+    const list = doc.exists ? doc.data().blockedUsers || [] : [];
+    blockListCache.set(uid, { list, at: Date.now() });
+    return list;
+}
+
+export async function isBlockedBetween(otherUid) {
+    const me = auth.currentUser;
+    if (!me || !otherUid) return false;
+    if (hasBlocked(otherUid)) return true;
+    return (await theirBlockList(otherUid)).includes(me.uid);
+}
+
+// Search results already carry the other user's profile, so no extra read is needed
+export function isHiddenFromMe(uid, profile) {
+    const me = auth.currentUser;
+    return hasBlocked(uid) || (!!me && (profile.blockedUsers || []).includes(me.uid));
+}
+
+/**
+ * --- 3. REPORTING ---
+ * Files a user report into the admin moderation queue. The chat ID is kept
+ * so moderators know which conversation to look at.
+ */
+export async function reportUser({ uid, email, reason, chatId = null }) {
+    await db.collection("reports").add({
+        targetType: 'user',
+        targetId: uid,
+        targetEmail: email || '',
+        reason,
+        chatId,
+        reporterId: auth.currentUser.uid,
+        reporterEmail: auth.currentUser.email,
+        status: 'open',
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * --- 4. REPORTING POSTS ---
+ * Marketplace listings and Lost & Found posts can be reported too. Each
+ * student can report a post once (the report ID is derived from the post
+ * and the reporter), so the admin queue can rank posts by how many
+ * different students flagged them.
+ */
+export const REPORT_REASONS = {
+    spam: 'Spam or duplicate post',
+    scam: 'Scam or misleading',
+    prohibited: 'Prohibited item',
+    offensive: 'Offensive content',
+    wrong: 'Wrong category or info',
+    other: 'Something else'
+};
+
+// Where each kind of post lives and who posted it
+export const REPORTABLE_POSTS = {
+    marketplace: { collection: 'marketplace_items', ownerId: 'sellerId', ownerEmail: 'sellerEmail' },
+    'lost-found': { collection: 'lost_found_items', ownerId: 'reporterId', ownerEmail: 'reportedBy' }
+};
+
+export async function reportPost({ targetType, itemId, item, reasonCode, details = '' }) {
+    const me = auth.currentUser;
+    const target = REPORTABLE_POSTS[targetType];
+    const ref = db.collection("reports").doc(`${targetType}_${itemId}_${me.uid}`);
+
+    if ((await ref.get()).exists) {
+        const err = new Error("You've already reported this post. Our admins will take a look.");
+        err.code = 'report/duplicate';
+        throw err;
+    }
+    await ref.set({
+        targetType,
+        targetId: itemId,
+        targetCollection: target.collection,
+        targetTitle: item.itemName || item.title || '',
+        targetOwnerId: item[target.ownerId] || null,
+        targetOwnerEmail: item[target.ownerEmail] || '',
+        reasonCode,
+        reason: REPORT_REASONS[reasonCode],
+        details: details.slice(0, 300),
+        reporterId: me.uid,
+        reporterEmail: me.email,
+        status: 'open',
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// The "🚩 Report" button on item cards: pick a reason, add optional details
+export async function promptForPostReport(targetType, itemId, item) {
+    const codes = Object.keys(REPORT_REASONS);
+    const options = codes.map((code, index) => `${index + 1}. ${REPORT_REASONS[code]}`).join('\n');
+    const choice = prompt(`Why are you reporting "${item.itemName || 'this post'}"?\n\n${options}\n\nEnter a number:`);
+    if (choice === null) return false;
+
+    const reasonCode = codes[parseInt(choice, 10) - 1];
+    if (!reasonCode) {
+        alert("Please enter one of the numbers listed.");
+        return false;
+    }
+    const details = prompt("Anything the moderators should know? (optional)") || '';
+
+    try {
+        await reportPost({ targetType, itemId, item, reasonCode, details: details.trim() });
+        alert("✅ Thanks. Our admins will review this post.");
+        return true;
+    } catch (err) {
+        console.error("Report Error:", err);
+        alert(err.code === 'report/duplicate' ? err.message : "❌ Couldn't send your report. Please try again.");
+        return false;
+    }
+}
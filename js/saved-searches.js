@@ -0,0 +1,119 @@
+/**
+ * CAMPUS UTILITIES HUB - SAVED SEARCHES & ALERTS
+ * Students save a marketplace search (keywords, category, max price) and
+ * get an in-app alert when a new listing matches it, instead of checking
+ * the gallery every day.
+ *
+ * - Searches: users/{uid}/saved_searches/{searchId}.
+ * - 'marketAlertsCheckedAt' on the user doc remembers how far the alerts
+ *   got, so listings posted while the student was away are still announced
+ *   on their next visit.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+import { isExpired } from './listing-lifecycle.js';
+
+export const MAX_SAVED_SEARCHES = 10;
+
+const savedSearchesRef = (uid) => db.collection("users").doc(uid).collection("saved_searches");
+
+/**
+ * --- 1. MANAGING SEARCHES ---
+ * A search needs at least one criterion, otherwise every listing matches.
+ */
+export function isEmptySearch({ q, category, maxPrice }) {
+    return !q && (!category || category === 'all') && maxPrice === null;
+}
+
+export async function saveSearch({ q = '', category = 'all', maxPrice = null }) {
+    const me = auth.currentUser;
+    const existing = await savedSearchesRef(me.uid).get();
+    if (existing.size >= MAX_SAVED_SEARCHES) {
+        const err = new Error(`You can keep up to ${MAX_SAVED_SEARCHES} saved searches. Remove one first.`);
+        err.code = 'search/limit';
+        throw err;
+    }
+
+    await savedSearchesRef(me.uid).add({
+        q: q.trim().toLowerCase(),
+        category,
+        maxPrice,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+export async function deleteSavedSearch(searchId) {
+    await savedSearchesRef(auth.currentUser.uid).doc(searchId).delete();
+}
+
+export function subscribeToSavedSearches(onChange) {
+    const me = auth.currentUser;
+    if (!me) return () => {};
+    return savedSearchesRef(me.uid)
+        .orderBy("createdAt", "asc")
+        .onSnapshot((snap) => {
+            onChange(snap.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => console.error("Saved Searches Error:", err));
+}
+
+// Same rules as the gallery's keyword and price filters
+export function matchesSavedSearch(item, search) {
+    if (search.category && search.category !== 'all' && item.category !== search.category) return false;
+    if (search.maxPrice !== null && search.maxPrice !== undefined && item.price > search.maxPrice) return false;
+
+    const words = (search.q || '').split(/\s+/).filter(Boolean);
+    const haystack = `${item.itemName || ''} ${item.description || ''}`.toLowerCase();
+    return words.every(word => haystack.includes(word));
+}
+
+/**
+ * --- 2. ALERTS ---
+ * Listens for listings created since the last check and calls
+ * onMatch(item, search) for each one that matches a saved search (the
+ * student's own listings are skipped). The listings listener only starts
+ * once the searches have loaded, so nothing is checked against an empty
+ * list. Returns a function that stops both listeners.
+ */
+export function watchForMatches(onMatch) {
+    const me = auth.currentUser;
+    if (!me) return () => {};
+    const userRef = db.collection("users").doc(me.uid);
+
+    let searches = null;
+    let itemsUnsubscribe = null;
+    let stopped = false;
+
+    const startItemsListener = async () => {
+        const userDoc = await userRef.get();
+        if (stopped) return;
+        const since = (userDoc.exists && userDoc.data().marketAlertsCheckedAt) || firebase.firestore.Timestamp.now();
+
+        itemsUnsubscribe = db.collection("marketplace_items")
+            .where("createdAt", ">", since)
+            .orderBy("createdAt", "asc")
+            .onSnapshot((snap) => {
+                const added = snap.docChanges().filter(change => change.type === 'added');
+                if (added.length === 0) return;
+
+                added.forEach(({ doc }) => {
+                    const item = { id: doc.id, ...doc.data() };
+                    if (item.sellerId === me.uid || item.status !== 'available' || item.hidden || isExpired(item)) return;
+                    const search = searches.find(s => matchesSavedSearch(item, s));
+                    if (search) onMatch(item, search);
+                });
+                userRef.set({ marketAlertsCheckedAt: firebase.firestore.FieldValue.serverTimestamp() }, { merge: true })
+                    .catch(err => console.error("Alert Checkpoint Error:", err));
+            }, (err) => console.error("Market Alerts Error:", err));
+    };
+
+    const searchesUnsubscribe = subscribeToSavedSearches((list) => {
+        const firstLoad = searches === null;
+        searches = list;
+        if (firstLoad) startItemsListener().catch(err => console.error("Market Alerts Error:", err));
+    });
+
+    return () => {
+        stopped = true;
+        searchesUnsubscribe();
+        if (itemsUnsubscribe) itemsUnsubscribe();
+    };
+}
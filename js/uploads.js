@@ -0,0 +1,36 @@
+/**
+ * CAMPUS UTILITIES HUB - CLOUDINARY UPLOADS
+ * Listings, profile pictures, lost & found photos and chat attachments all
+ * go through this one upload path, so Firestore only ever stores URLs.
+ */
+
+// Cloudinary credentials for hosting student photos and files
+const CLOUD_NAME = "di1jmmord";
+const UPLOAD_PRESET = "CampusUtilityHub";
+
+/**
+ * Sends a file to Cloudinary and returns the raw API response
+ * (secure_url, bytes, format...). 'image' handles photos; 'raw' is used for
+ * documents like PDFs that shouldn't be treated as images.
+ */
+export async function uploadToCloudinary(file, resourceType = 'image') {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('upload_preset', UPLOAD_PRESET);
+
+    const res = await fetch(`https://api.cloudinary.com/v1_1/${CLOUD_NAME}/${resourceType}/upload`, {
+        method: 'POST',
+        body: formData
+    });
+    const data = await res.json();
+    if (!res.ok || !data.secure_url) {
+        throw new Error(data.error?.message || "Cloudinary upload failed.");
+    }
+    return data;
+}
+
+// Builds a resized delivery URL so chats and cards don't load full-size photos
+export function thumbnailUrl(url, size = 320) {
+    if (!url || !url.includes('/image/upload/')) return url;
+    return url.replace('/image/upload/', `/image/upload/c_limit,w_${size},h_${size},q_auto/`);
+}
@@ -0,0 +1,84 @@
+/**
+ * CAMPUS UTILITIES HUB - USER DIRECTORY
+ * Indexed "starts with" search over student names and emails, so finding
+ * someone costs two small queries no matter how many students sign up.
+ *
+ * Every profile keeps lowercase copies of its name and email
+ * ('name_lowercase', 'email_lowercase'). A prefix match is then a range
+ * query: everything between "term" and "term" + the highest Unicode
+ * character.
+ */
+import { auth, db } from './firebase-config.js';
+import { isHiddenFromMe } from './safety.js';
+
+export const SEARCH_MIN_LENGTH = 2;
+export const SEARCH_RESULT_LIMIT = 8;
+
+// Short-lived cache so backspacing over a term doesn't repeat the queries
+const SEARCH_CACHE_MS = 30 * 1000;
+const searchCache = new Map();
+
+/**
+ * --- 1. INDEX FIELDS ---
+ * Spread into any write that sets a user's name or email.
+ */
+export function directoryFields({ name, email }) {
+    const fields = {};
+    if (name !== undefined) fields.name_lowercase = (name || '').trim().toLowerCase();
+    if (email !== undefined) fields.email_lowercase = (email || '').trim().toLowerCase();
+    return fields;
+}
+
+// Accounts created before the index fields existed fix themselves on their next visit
+export async function ensureDirectoryEntry(user, profile) {
+    if (!user || !profile) return;
+    if (profile.name_lowercase !== undefined && profile.email_lowercase) return;
+
+    await db.collection("users").doc(user.uid).set(
+        directoryFields({ name: profile.name || user.displayName || '', email: profile.email || user.email }),
+        { merge: true }
+    );
+}
+
+/**
+ * --- 2. PREFIX SEARCH ---
+ * Runs the name and email range queries side by side, merges them (name
+ * matches first), and drops the current user and anyone behind a block.
+ */
+function prefixQuery(field, term, limit) {
+    return db.collection("users")
+        .where(field, ">=", term)
+        .where(field, "<=", term + "\uf8ff")
+        .orderBy(field)
+        .limit(limit)
+        .get();
+}
+
+export async function searchUsers(rawTerm, limit = SEARCH_RESULT_LIMIT) {
+    const term = rawTerm.trim().toLowerCase();
+    if (term.length < SEARCH_MIN_LENGTH) return [];
+
+    const cached = searchCache.get(term);
+    if (cached && Date.now() - cached.at < SEARCH_CACHE_MS) return cached.results;
+
+    // Ask for a few extra so filtering out blocked users doesn't leave gaps
+    const [byName, byEmail] = await Promise.all([
+        prefixQuery("name_lowercase", term, limit + 5),
+        prefixQuery("email_lowercase", term, limit + 5)
+    ]);
+
+    const me = auth.currentUser;
+    const seen = new Set();
+    const results = [];
+    [...byName.docs, ...byEmail.docs].forEach(doc => {
+        if (seen.has(doc.id) || results.length >= limit) return;
+        seen.add(doc.id);
+
+        const user = doc.data();
+        if ((me && doc.id === me.uid) || isHiddenFromMe(doc.id, user)) return;
+        results.push({ uid: doc.id, name: user.name || 'User', email: user.email || '' });
+    });
+
+    searchCache.set(term, { results, at: Date.now() });
+    return results;
+}
@@ -0,0 +1,56 @@
+/**
+ * CAMPUS UTILITIES HUB - WANTED POSTS
+ * The other side of the marketplace: a buyer describes what they're looking
+ * for ("Wanted: 2nd-year Thermodynamics book, up to ₹300") and sellers who
+ * have one reply through chat.
+ *
+ * Posts live in wanted_posts with status 'open' until the buyer marks them
+ * found or deletes them.
+ */
+import { auth, db, firebase } from './firebase-config.js';
+
+export const WANTED_STATUS = {
+    OPEN: 'open',
+    FOUND: 'found'
+};
+
+const wantedRef = () => db.collection("wanted_posts");
+
+export async function createWantedPost({ title, description, category, maxPrice }) {
+    const me = auth.currentUser;
+    await wantedRef().add({
+        title,
+        description,
+        category,
+        maxPrice,
+        requesterId: me.uid,
+        requesterEmail: me.email,
+        status: WANTED_STATUS.OPEN,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+export async function markWantedFound(postId) {
+    await wantedRef().doc(postId).update({
+        status: WANTED_STATUS.FOUND,
+        foundAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+export async function deleteWantedPost(postId) {
+    await wantedRef().doc(postId).delete();
+}
+
+/**
+ * Live list of open posts, newest first. Like My Listings, the sort happens
+ * on the client so the query needs no composite index.
+ */
+export function subscribeToWanted(onChange) {
+    return wantedRef()
+        .where("status", "==", WANTED_STATUS.OPEN)
+        .onSnapshot((snap) => {
+            const posts = snap.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+            posts.sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+            onChange(posts);
+        }, (err) => console.error("Wanted Posts Error:", err));
+}